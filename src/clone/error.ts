@@ -1,6 +1,23 @@
 import { Cloneable } from "@code-engine/types";
 import { ErrorLike, Ono, ono } from "@jsdevtools/ono";
 
+/**
+ * A class that extends `Error`. Its constructor can have any signature, since it's never called
+ * when an error is re-created across the thread boundary.
+ */
+export type ErrorClass = new (...args: never[]) => Error;
+
+/**
+ * Custom `Error` classes, by name.
+ * @internal
+ */
+export type ErrorClasses = Map<string, ErrorClass>;
+
+/**
+ * The property that lists the names of the error's class and base classes.
+ */
+const classesKey = "$codeEngineErrorClasses";
+
 /**
  * The data necessary to clone an `Error` object across the thread boundary.
  * @internal
@@ -9,35 +26,134 @@ export interface ErrorClone {
   name: string;
   message: string;
   stack?: string;
+  [classesKey]?: string[];
   [key: string]: Cloneable;
 }
 
 
 /**
- * Returns a cloneable copy of the given error.
- * @internal
+ * The built-in `Error` classes, by name. `AggregateError` isn't available in older versions of Node.
  */
-export function cloneError(error: unknown): ErrorClone {
-  if (typeof error === "object") {
-    return Ono.toJSON(error as ErrorLike) as ErrorClone;
+const builtInClasses: ErrorClasses = new Map<string, ErrorClass>();
+for (let name of ["Error", "EvalError", "RangeError", "ReferenceError", "SyntaxError", "TypeError", "URIError", "AggregateError"]) {
+  let errorClass = (global as unknown as Record<string, ErrorClass | undefined>)[name];
+  if (errorClass) {
+    builtInClasses.set(name, errorClass);
   }
-  else {
+}
+
+
+/**
+ * Returns a cloneable copy of the given error, including its `cause` and `errors` (for `AggregateError`).
+ * @internal
+ */
+export function cloneError(error: unknown, parents: unknown[] = []): ErrorClone {
+  if (!error || typeof error !== "object") {
     return error as ErrorClone;
   }
+
+  let path = [...parents, error];
+  let clone = Ono.toJSON(error as ErrorLike) as ErrorClone;
+
+  if (error instanceof Error) {
+    clone[classesKey] = getClassNames(error);
+  }
+
+  let { cause, errors } = error as { cause?: unknown; errors?: unknown };
+
+  if (cause && typeof cause === "object") {
+    // Don't include circular causes
+    if (path.includes(cause)) {
+      delete clone.cause;
+    }
+    else {
+      clone.cause = cloneError(cause, path);
+    }
+  }
+
+  if (Array.isArray(errors)) {
+    clone.errors = errors.filter((err) => !path.includes(err)).map((err) => cloneError(err, path));
+  }
+
+  return clone;
 }
 
 
 /**
- * Creates an `Error` object from an `ErrorClone`.
+ * Creates an `Error` object from an `ErrorClone`. The error is an instance of the nearest class
+ * that is registered or built-in, and its stack includes the worker thread's original stack.
+ * Values that aren't `ErrorClone` objects, such as errors that were cloned natively or non-Error values
+ * that were thrown, are returned as-is.
  * @internal
  */
-export function createError(error: ErrorClone): Error {
+export function createError(error: unknown, errorClasses: ErrorClasses = new Map<string, ErrorClass>()): unknown {
   if (!error || typeof error !== "object" || error instanceof Error) {
     // It's not an ErrorClone, so just return it as-is
     return error;
   }
+
+  let { [classesKey]: classNames = [], cause, errors, ...props } = error as ErrorClone;
+  let errorClass = findClass(classNames, errorClasses);
+  let newError: Error;
+
+  if (errorClass) {
+    // Create an instance of the class without calling its constructor, since we don't know its parameters.
+    // Then let Ono copy the custom properties and append the worker thread's stack.
+    let instance = Reflect.construct(Error, [props.message], errorClass) as Error;
+    newError = Ono.extend(instance, props as ErrorLike, {});
+
+    if (newError.name !== props.name) {
+      newError.name = props.name;
+    }
+  }
   else {
     // Convert the ErrorClone to the corresponding Error type
-    return ono(error);
+    newError = ono(props as ErrorLike);
+  }
+
+  let nested = newError as { cause?: unknown; errors?: unknown };
+
+  if (cause !== undefined) {
+    nested.cause = createError(cause, errorClasses);
+  }
+
+  if (Array.isArray(errors)) {
+    nested.errors = errors.map((err) => createError(err, errorClasses));
+  }
+
+  return newError;
+}
+
+
+/**
+ * Returns the names of the error's class and its base classes, from most to least specific.
+ */
+function getClassNames(error: Error): string[] {
+  let classNames = [];
+
+  for (let proto = Object.getPrototypeOf(error) as object | null; proto; proto = Object.getPrototypeOf(proto) as object | null) {
+    let { constructor } = proto;
+    if (constructor.name) {
+      classNames.push(constructor.name);
+    }
+
+    if (proto === Error.prototype) {
+      break;
+    }
+  }
+
+  return classNames;
+}
+
+
+/**
+ * Returns the most specific class that is registered or built-in.
+ */
+function findClass(classNames: string[], errorClasses: ErrorClasses): ErrorClass | undefined {
+  for (let name of classNames) {
+    let errorClass = errorClasses.get(name) || builtInClasses.get(name);
+    if (errorClass) {
+      return errorClass;
+    }
   }
 }
@@ -1,5 +1,7 @@
 import { ChangedFile, CloneableObject, File, FileChange, SourceMap } from "@code-engine/types";
 import { NormalizedFileInfo } from "@code-engine/utils";
+import { ContentTransfer } from "../main-thread/options";
+import { Serializers } from "./serializers";
 
 /**
  * The data necessary to clone a `File` object across the thread boundary.
@@ -13,6 +15,23 @@ export interface FileClone {
   modifiedAt?: Date;
   metadata?: CloneableObject;
   contents?: Buffer;
+
+  /**
+   * Indicates that the contents are too large to send in a single message,
+   * so they are sent separately as a sequence of chunks.
+   */
+  contentsStreamed?: boolean;
+
+  /**
+   * The size (in bytes) of contents that are streamed.
+   */
+  contentsSize?: number;
+
+  /**
+   * Indicates that an output file has the same contents as the streamed input file,
+   * so the contents aren't sent back.
+   */
+  contentsUnchanged?: boolean;
 }
 
 /**
@@ -25,29 +44,117 @@ export interface ChangedFileClone extends FileClone {
 }
 
 
+/**
+ * Options that determine how a file is cloned.
+ * @internal
+ */
+export interface CloneFileOptions {
+  /**
+   * Whether the file contents are copied, transferred, or shared across the thread boundary.
+   * Only "copy" and "share" leave the original file usable.
+   */
+  transfer: ContentTransfer;
+
+  /**
+   * Contents that are larger than this are omitted, so they can be streamed separately.
+   */
+  streamThreshold?: number;
+
+  /**
+   * Encodes the file metadata.
+   */
+  serializers: Serializers;
+}
+
+
 /**
  * Returns a cloneable copy of the given file.
  * @internal
  */
-export function cloneFile(file: File | NormalizedFileInfo): [FileClone, [ArrayBuffer] | undefined] {
+export function cloneFile(file: File | NormalizedFileInfo, options: CloneFileOptions): [FileClone, [ArrayBuffer] | undefined] {
+  let { transfer, streamThreshold = Infinity, serializers } = options;
   let transferList: [ArrayBuffer] | undefined;
-  let clone = { ...file };
+  let clone: FileClone = { ...file };
+  let { contents, metadata } = file;
 
-  let { contents } = file;
-  if (contents && contents.byteLength === contents.buffer.byteLength) {
-    // The contents buffer has its own ArrayBuffer (as opposed to a slice of a shared ArrayBuffer).
-    // So it's safe to transfer the entire ArrayBuffer across the thread boundary.
-    transferList = [contents.buffer];
+  if (metadata) {
+    clone.metadata = serializers.encode(metadata);
+  }
+
+  if (!contents) {
+    return [clone, transferList];
+  }
+
+  if (contents.byteLength > streamThreshold) {
+    clone.contents = undefined;
+    clone.contentsStreamed = true;
+    clone.contentsSize = contents.byteLength;
+    return [clone, transferList];
+  }
+
+  switch (transfer) {
+    case "copy":
+      // Copy the contents into their own ArrayBuffer, which can be transferred without affecting the original
+      clone.contents = copyContents(contents, new ArrayBuffer(contents.byteLength));
+      transferList = [clone.contents.buffer as ArrayBuffer];
+      break;
+
+    case "share":
+      if (!(contents.buffer instanceof SharedArrayBuffer)) {
+        // Copy the contents into shared memory, which is sent to the other thread without copying it again
+        clone.contents = copyContents(contents, new SharedArrayBuffer(contents.byteLength));
+      }
+      break;
+
+    case "transfer":
+      if (contents.buffer instanceof ArrayBuffer && contents.byteLength === contents.buffer.byteLength) {
+        // The contents buffer has its own ArrayBuffer (as opposed to a slice of a shared ArrayBuffer).
+        // So it's safe to transfer the entire ArrayBuffer across the thread boundary.
+        transferList = [contents.buffer];
+      }
+      break;
   }
 
   return [clone, transferList];
 }
 
 
+/**
+ * Returns the given `FileClone` with its metadata decoded and its contents wrapped in a Buffer.
+ * Structured cloning turns Buffers into plain Uint8Arrays, which would otherwise be copied when
+ * the `File` is created.
+ * @internal
+ */
+export function restoreFile<T extends FileClone>(clone: T, serializers: Serializers): T {
+  let { contents, metadata } = clone;
+
+  if (contents && !Buffer.isBuffer(contents)) {
+    let { buffer, byteOffset, byteLength } = contents as Uint8Array;
+    clone.contents = Buffer.from(buffer, byteOffset, byteLength);
+  }
+
+  if (metadata) {
+    clone.metadata = serializers.decode(metadata);
+  }
+
+  return clone;
+}
+
+
+/**
+ * Copies the given file contents into a new Buffer that uses the given memory.
+ */
+function copyContents(contents: Buffer, memory: ArrayBuffer | SharedArrayBuffer): Buffer {
+  let copy = Buffer.from(memory);
+  contents.copy(copy);
+  return copy;
+}
+
+
 /**
  * Returns a cloneable copy of the given `ChangedFile`.
  * @internal
  */
-export function cloneChangedFile(file: ChangedFile): ChangedFileClone {
-  return { ...file, contents: undefined };
+export function cloneChangedFile(file: ChangedFile, serializers: Serializers): ChangedFileClone {
+  return { ...file, contents: undefined, metadata: serializers.encode(file.metadata) };
 }
@@ -1,19 +1,86 @@
-import { CloneableObject, Logger, LogLevel, Run } from "@code-engine/types";
+import { Cloneable, CloneableObject, Context, Logger, LogLevel, Run } from "@code-engine/types";
 import { createChangedFile } from "@code-engine/utils";
 import { LogReply, Reply } from "../messaging/replies";
+import { CacheLookup, CacheRequest } from "../messaging/requests";
 import { Messenger } from "../worker-thread/messenger";
 import { cloneError } from "./error";
-import { ChangedFileClone, cloneChangedFile } from "./file";
+import { ChangedFileClone, cloneChangedFile, restoreFile } from "./file";
+import { Serializers } from "./serializers";
 
 /**
- * The data necessary to clone a `Run` object across the thread boundary.
+ * The `Run` object that `FileProcessor` plugins receive in worker threads.
+ */
+export interface WorkerRun extends Run, WorkerContext {}
+
+
+/**
+ * The `this` context of functions that are called via `WorkerPool.exec()`.
+ */
+export interface WorkerContext extends Context {
+  /**
+   * Calls a handler that was registered on the main thread via `WorkerPool.registerHandler()`,
+   * and returns the handler's result.
+   */
+  call(name: string, ...args: Cloneable[]): Promise<unknown>;
+
+  /**
+   * A key/value cache that is shared by all worker threads in the `WorkerPool`.
+   */
+  cache: SharedCache;
+}
+
+
+/**
+ * A key/value cache that is shared by all worker threads. The values are stored on the main thread,
+ * so they must be cloneable or have a registered serializer.
+ */
+export interface SharedCache {
+  /**
+   * Returns the value for the given key, or `undefined` if it isn't in the cache.
+   */
+  get(key: string): Promise<unknown>;
+
+  /**
+   * Stores a value in the cache.
+   */
+  set(key: string, value: Cloneable): Promise<void>;
+
+  /**
+   * Returns the value for the given key. If it isn't in the cache, then the `compute` function is called
+   * to create the value, which is then stored in the cache. If another worker thread is already computing
+   * the value, then this waits for it rather than computing it again.
+   */
+  getOrCompute<T extends Cloneable>(key: string, compute: () => T | Promise<T>): Promise<T>;
+
+  /**
+   * Removes a value from the cache.
+   */
+  delete(key: string): Promise<void>;
+
+  /**
+   * Removes all values from the cache.
+   */
+  clear(): Promise<void>;
+}
+
+
+/**
+ * The data necessary to clone a `Context` object across the thread boundary.
  * @internal
  */
-export interface RunClone {
+export interface ContextClone {
   cwd: string;
   concurrency: number;
   dev: boolean;
   debug: boolean;
+}
+
+
+/**
+ * The data necessary to clone a `Run` object across the thread boundary.
+ * @internal
+ */
+export interface RunClone extends ContextClone {
   full: boolean;
   partial: boolean;
   changedFiles: ChangedFileClone[];
@@ -24,30 +91,104 @@ export interface RunClone {
  * Returns a cloneable copy of the given run object.
  * @internal
  */
-export function cloneRun(run: Run): RunClone {
+export function cloneRun(run: Run, serializers: Serializers): RunClone {
   let clone = { ...run, log: undefined } as unknown as RunClone;
-  clone.changedFiles = run.changedFiles.map(cloneChangedFile);
+  clone.changedFiles = run.changedFiles.map((file) => cloneChangedFile(file, serializers));
   return clone;
 }
 
 
+/**
+ * Returns a cloneable copy of the given context object.
+ * @internal
+ */
+export function cloneContext(context: Context): ContextClone {
+  let { cwd, concurrency, dev, debug } = context;
+  return { cwd, concurrency, dev, debug };
+}
+
+
 /**
  * Creates a `Run` object from a `RunClone`.
  * @internal
  */
-export function createRun(messenger: Messenger, messageId: number, run: RunClone): Run {
+export function createRun(messenger: Messenger, messageId: number, run: RunClone, serializers: Serializers): WorkerRun {
   return {
     ...run,
-    changedFiles: run.changedFiles.map((file) => createChangedFile(file)),
-    log: createLogger(messenger, messageId, run),
+    ...createContext(messenger, messageId, run, serializers),
+    changedFiles: run.changedFiles.map((file) => createChangedFile(restoreFile(file, serializers))),
+  };
+}
+
+
+/**
+ * Creates a `WorkerContext` object from a `ContextClone`.
+ * @internal
+ */
+export function createContext(messenger: Messenger, messageId: number, context: ContextClone, serializers: Serializers): WorkerContext {
+  return {
+    ...context,
+    log: createLogger(messenger, messageId, context),
+    async call(name: string, ...args: Cloneable[]) {
+      let value = await messenger.postRequest({ type: "call", name, args: serializers.encode(args) });
+      return serializers.decode(value);
+    },
+    cache: createCache(messenger, serializers),
+  };
+}
+
+
+/**
+ * Creates a `SharedCache` object that sends cache operations to the main thread.
+ */
+function createCache(messenger: Messenger, serializers: Serializers): SharedCache {
+  async function request(operation: CacheRequest["operation"], key?: string, value?: Cloneable) {
+    return messenger.postRequest({ type: "cache", operation, key, value: serializers.encode(value) });
+  }
+
+  return {
+    async get(key: string) {
+      let { value } = await request("get", key) as CacheLookup;
+      return serializers.decode(value);
+    },
+
+    async set(key: string, value: Cloneable) {
+      await request("set", key, value);
+    },
+
+    async getOrCompute<T extends Cloneable>(key: string, compute: () => T | Promise<T>) {
+      let lookup = await request("acquire", key) as CacheLookup;
+      if (lookup.found) {
+        return serializers.decode(lookup.value) as T;
+      }
+
+      try {
+        let value = await compute();
+        await request("set", key, value);
+        return value;
+      }
+      catch (error) {
+        // Let another worker compute the value instead
+        await request("release", key);
+        throw error;
+      }
+    },
+
+    async delete(key: string) {
+      await request("delete", key);
+    },
+
+    async clear() {
+      await request("clear");
+    },
   };
 }
 
 
 /**
- * Creates a `Logger` object from a `RunClone`.
+ * Creates a `Logger` object from a `ContextClone`.
  */
-function createLogger(messenger: Messenger, messageId: number, run: RunClone): Logger {
+function createLogger(messenger: Messenger, messageId: number, context: ContextClone): Logger {
   function log(message: string | Error, data?: CloneableObject): void {
     if (typeof message === "string") {
       log.info(message, data);
@@ -62,7 +203,7 @@ function createLogger(messenger: Messenger, messageId: number, run: RunClone): L
   };
 
   log.debug = (message: string, data?: CloneableObject) => {
-    if (run.debug) {
+    if (context.debug) {
       messenger.postReply(createLogReply(LogLevel.Debug, messageId, message, data));
     }
   };
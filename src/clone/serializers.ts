@@ -0,0 +1,237 @@
+import { Cloneable } from "@code-engine/types";
+import { ModuleExports } from "@code-engine/utils";
+import { humanize } from "@jsdevtools/humanize-anything";
+import { ono } from "@jsdevtools/ono";
+
+/**
+ * Converts values of a specific type to and from cloneable data, so they keep their type
+ * when they're sent across the thread boundary.
+ */
+export interface Serializer<T = unknown> {
+  /**
+   * A unique name for the type, which identifies the serializer in both threads.
+   */
+  tag: string;
+
+  /**
+   * Determines whether the given value is of this type.
+   */
+  test(value: unknown): boolean;
+
+  /**
+   * Converts a value of this type to data that can be cloned. The data must not refer back to
+   * the value itself, since the value can't be re-created until all of its data has been.
+   */
+  serialize(value: T): Cloneable;
+
+  /**
+   * Re-creates a value of this type from the serialized data.
+   */
+  deserialize(data: Cloneable): T;
+}
+
+
+/**
+ * The property that identifies a serialized value, which is unlikely to collide with real data.
+ */
+const tagKey = "$codeEngineType";
+
+/**
+ * Marks an envelope whose data is still being decoded, to detect data that contains the envelope itself.
+ */
+const decoding = Symbol("decoding");
+
+/**
+ * A serialized value, as it's sent across the thread boundary.
+ */
+interface Envelope {
+  [tagKey]: string;
+  value: unknown;
+}
+
+
+/**
+ * The serializers that are registered in a thread. Values are encoded before they're sent to the
+ * other thread, and decoded when they're received.
+ * @internal
+ */
+export class Serializers {
+  private readonly _serializers = new Map<string, Serializer>();
+
+  /**
+   * The number of registered serializers.
+   */
+  public get size(): number {
+    return this._serializers.size;
+  }
+
+  /**
+   * Registers the serializers that are exported by a module. The module can export a single
+   * serializer or an array of them. A serializer replaces any existing one with the same tag.
+   */
+  public add(exports: ModuleExports): void {
+    let exported = exports.default || exports;
+    let serializers = Array.isArray(exported) ? exported as unknown[] : [exported];
+
+    for (let serializer of serializers) {
+      let { tag, test, serialize, deserialize } = (serializer || {}) as Partial<Serializer>;
+
+      if (typeof tag !== "string" || !tag || typeof test !== "function" || typeof serialize !== "function" ||
+      typeof deserialize !== "function") {
+        throw ono.type(
+          `Invalid serializer: ${humanize(serializer)}. ` +
+          "Expected an object with tag, test(), serialize(), and deserialize() properties.");
+      }
+
+      this._serializers.set(tag, serializer as Serializer);
+    }
+  }
+
+  /**
+   * Registers all of the serializers from another instance.
+   */
+  public merge(other: Serializers): void {
+    for (let [tag, serializer] of other._serializers) {
+      this._serializers.set(tag, serializer);
+    }
+  }
+
+  /**
+   * Replaces any values that have a registered serializer with tagged, cloneable data.
+   * Arrays, Maps, Sets, and plain objects are copied rather than modified.
+   */
+  public encode<T>(value: T): T {
+    return this.size === 0 ? value : this._encode(value, new Map()) as T;
+  }
+
+  /**
+   * Re-creates any values that were encoded by the serializers in the other thread.
+   */
+  public decode<T>(value: T): T {
+    return this.size === 0 ? value : this._decode(value, new Map()) as T;
+  }
+
+  /**
+   * Recursively encodes a value, keeping track of objects that have already been encoded
+   * so object references are maintained.
+   */
+  private _encode(value: unknown, encoded: Map<object, unknown>): unknown {
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+
+    let obj = value as object;
+    if (encoded.has(obj)) {
+      return encoded.get(obj);
+    }
+
+    for (let serializer of this._serializers.values()) {
+      if (serializer.test(obj)) {
+        let envelope: Envelope = { [tagKey]: serializer.tag, value: undefined };
+        encoded.set(obj, envelope);
+        envelope.value = this._encode(serializer.serialize(obj), encoded);
+        return envelope;
+      }
+    }
+
+    return copy(obj, encoded, (item) => this._encode(item, encoded));
+  }
+
+  /**
+   * Recursively decodes a value, keeping track of objects that have already been decoded
+   * so object references are maintained.
+   */
+  private _decode(value: unknown, decoded: Map<object, unknown>): unknown {
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+
+    let obj = value as object;
+    if (decoded.has(obj)) {
+      let result = decoded.get(obj);
+
+      if (result === decoding) {
+        let tag = (obj as Envelope)[tagKey];
+        throw ono({ tag }, `Cannot deserialize a ${tag} value because its serialized data refers to the value itself.`);
+      }
+
+      return result;
+    }
+
+    if (isEnvelope(obj)) {
+      let tag = obj[tagKey];
+      let serializer = this._serializers.get(tag);
+
+      if (!serializer) {
+        throw ono({ tag }, `Cannot deserialize a ${tag} value because no serializer is registered for it.`);
+      }
+
+      decoded.set(obj, decoding);
+      let result = serializer.deserialize(this._decode(obj.value, decoded) as Cloneable);
+      decoded.set(obj, result);
+      return result;
+    }
+
+    return copy(obj, decoded, (item) => this._decode(item, decoded));
+  }
+}
+
+
+/**
+ * Copies an Array, Map, Set, or plain object, transforming each of its values.
+ * Other objects are returned as-is.
+ */
+function copy(obj: object, copies: Map<object, unknown>, transform: (value: unknown) => unknown): unknown {
+  if (Array.isArray(obj)) {
+    let array: unknown[] = [];
+    copies.set(obj, array);
+    for (let item of obj) {
+      array.push(transform(item));
+    }
+    return array;
+  }
+  else if (obj instanceof Map) {
+    let map = new Map();
+    copies.set(obj, map);
+    for (let [key, item] of obj) {
+      map.set(transform(key), transform(item));
+    }
+    return map;
+  }
+  else if (obj instanceof Set) {
+    let set = new Set();
+    copies.set(obj, set);
+    for (let item of obj) {
+      set.add(transform(item));
+    }
+    return set;
+  }
+  else if (isPlainObject(obj)) {
+    let pojo: Record<string, unknown> = {};
+    copies.set(obj, pojo);
+    for (let [key, item] of Object.entries(obj)) {
+      pojo[key] = transform(item);
+    }
+    return pojo;
+  }
+  else {
+    return obj;
+  }
+}
+
+
+/**
+ * Determines whether the given object is a plain object, rather than a class instance.
+ */
+function isPlainObject(obj: object): boolean {
+  let proto = Object.getPrototypeOf(obj) as object | null;
+  return proto === Object.prototype || proto === null;
+}
+
+
+/**
+ * Determines whether the given object is a serialized value.
+ */
+function isEnvelope(obj: object): obj is Envelope {
+  return isPlainObject(obj) && typeof (obj as Envelope)[tagKey] === "string";
+}
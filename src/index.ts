@@ -1,6 +1,16 @@
+import { ErrorClass } from "./clone/error";
+import { SharedCache, WorkerContext, WorkerRun } from "./clone/run";
+import { Serializer } from "./clone/serializers";
+import { ModuleImportedEventData, TaskEndEventData, TaskErrorEventData, TaskEventData, WorkerEventData, WorkerExitEventData, WorkerPoolEvents } from "./main-thread/events";
+import { FilesProcessor } from "./main-thread/files-processor";
+import { MainThreadHandler } from "./main-thread/handlers";
+import { AffinityKey, CacheScope, ContentTransfer, DisposeOptions, LogAttribution, LogPrefix, ModuleType, WorkerPoolOptions, WorkerThreadOptions } from "./main-thread/options";
+import { ModuleStats, WorkerPoolStats, WorkerStats } from "./main-thread/stats";
 import { WorkerPool } from "./main-thread/worker-pool";
+import { StreamedFile } from "./worker-thread/streamed-file";
 
-export { WorkerPool };
+export { AffinityKey, CacheScope, ContentTransfer, DisposeOptions, ErrorClass, FilesProcessor, LogAttribution, LogPrefix, MainThreadHandler, ModuleStats, ModuleType, Serializer, SharedCache, StreamedFile, WorkerContext, WorkerPool, WorkerPoolOptions, WorkerPoolStats, WorkerRun, WorkerStats, WorkerThreadOptions };
+export { ModuleImportedEventData, TaskEndEventData, TaskErrorEventData, TaskEventData, WorkerEventData, WorkerExitEventData, WorkerPoolEvents };
 
 // Export `WorkerPool` as the default export
 export default WorkerPool;
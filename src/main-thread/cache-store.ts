@@ -0,0 +1,162 @@
+import { Cloneable, Run } from "@code-engine/types";
+import { ono } from "@jsdevtools/ono";
+import { CacheLookup, CacheRequest } from "../messaging/requests";
+import { CacheScope } from "./options";
+
+/**
+ * The main-thread storage for the cache that is shared by all worker threads.
+ * Values are stored as they were serialized by the worker thread that set them.
+ * @internal
+ */
+export class CacheStore {
+  private readonly _scope: CacheScope;
+  private readonly _values = new Map<string, Cloneable>();
+  private readonly _computing = new Map<string, Computation>();
+  private readonly _runs = new WeakSet<Run>();
+
+  public constructor(scope: CacheScope) {
+    this._scope = scope;
+  }
+
+  /**
+   * Clears the cache when a new run starts, if the cache is scoped to each run. Files from runs that
+   * have already started don't clear it again, so interleaved runs don't keep clearing each other's values.
+   */
+  public startRun(run: Run): void {
+    if (this._scope === "run" && !this._runs.has(run)) {
+      this._runs.add(run);
+      this.clear();
+    }
+  }
+
+  /**
+   * Removes all values from the cache. Values that are currently being computed are still
+   * stored once they're done.
+   */
+  public clear(): void {
+    this._values.clear();
+  }
+
+  /**
+   * Performs a cache operation on behalf of a worker thread.
+   *
+   * @param owner - The worker that sent the request, which is responsible for any values that it computes
+   */
+  public async handle(request: CacheRequest, owner: object): Promise<Cloneable> {
+    let { operation, key = "" } = request;
+
+    switch (operation) {
+      case "get":
+        return this._lookup(key);
+
+      case "acquire":
+        return this._acquire(key, owner);
+
+      case "set":
+        this._values.set(key, request.value);
+        this._finish(key);
+        return undefined;
+
+      case "release":
+        this._release(key, owner);
+        return undefined;
+
+      case "delete":
+        this._values.delete(key);
+        return undefined;
+
+      case "clear":
+        this.clear();
+        return undefined;
+
+      default:
+        throw ono({ operation }, `Invalid cache operation: ${String(operation)}`);
+    }
+  }
+
+  /**
+   * Releases all values that the given worker is computing, so other workers can compute them instead.
+   * This is called when a worker exits.
+   */
+  public releaseAll(owner: object): void {
+    for (let [key, computation] of this._computing) {
+      if (computation.owner === owner) {
+        this._finish(key);
+      }
+    }
+  }
+
+  /**
+   * Returns the value for the given key, if it exists.
+   */
+  private _lookup(key: string): CacheLookup {
+    if (this._values.has(key)) {
+      return { found: true, value: this._values.get(key) };
+    }
+    else {
+      return { found: false };
+    }
+  }
+
+  /**
+   * Returns the value for the given key if it exists. Otherwise, the owner becomes responsible
+   * for computing the value, and other workers wait for it rather than computing it too.
+   */
+  private async _acquire(key: string, owner: object): Promise<CacheLookup> {
+    let computation = this._computing.get(key);
+
+    while (computation) {
+      await computation.done;
+      computation = this._computing.get(key);
+    }
+
+    let lookup = this._lookup(key);
+    if (!lookup.found) {
+      this._computing.set(key, createComputation(owner));
+    }
+
+    return lookup;
+  }
+
+  /**
+   * Gives up computing the value for the given key, so another worker can compute it instead.
+   */
+  private _release(key: string, owner: object): void {
+    let computation = this._computing.get(key);
+
+    if (computation && computation.owner === owner) {
+      this._finish(key);
+    }
+  }
+
+  /**
+   * Wakes up any workers that are waiting for the value of the given key.
+   */
+  private _finish(key: string): void {
+    let computation = this._computing.get(key);
+
+    if (computation) {
+      this._computing.delete(key);
+      computation.resolve();
+    }
+  }
+}
+
+
+/**
+ * A value that a worker is computing.
+ */
+interface Computation {
+  owner: object;
+  done: Promise<void>;
+  resolve(): void;
+}
+
+/**
+ * Creates a `Computation` that is owned by the given worker.
+ */
+function createComputation(owner: object): Computation {
+  let resolve!: () => void;
+  let done = new Promise<void>((res) => resolve = res);
+  return { owner, done, resolve };
+}
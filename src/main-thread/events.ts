@@ -0,0 +1,121 @@
+/**
+ * The events that are emitted by a `WorkerPool`, and the data that each event receives.
+ */
+export interface WorkerPoolEvents {
+  /**
+   * A worker thread has started and is ready to import modules.
+   */
+  workerOnline: WorkerEventData;
+
+  /**
+   * A worker thread has exited, either because it was terminated or because it crashed.
+   */
+  workerExit: WorkerExitEventData;
+
+  /**
+   * A module has been imported (or reloaded) in all worker threads.
+   */
+  moduleImported: ModuleImportedEventData;
+
+  /**
+   * A file has been sent to a worker thread to be processed.
+   */
+  taskStart: TaskEventData;
+
+  /**
+   * A worker thread has finished processing a file.
+   */
+  taskEnd: TaskEndEventData;
+
+  /**
+   * A worker thread failed to process a file.
+   */
+  taskError: TaskErrorEventData;
+}
+
+
+/**
+ * The data for events about a worker thread.
+ */
+export interface WorkerEventData {
+  /**
+   * The worker's thread ID.
+   */
+  workerId: number;
+}
+
+
+/**
+ * The data for the "workerExit" event.
+ */
+export interface WorkerExitEventData extends WorkerEventData {
+  /**
+   * The worker thread's exit code.
+   */
+  exitCode: number;
+}
+
+
+/**
+ * The data for the "moduleImported" event.
+ */
+export interface ModuleImportedEventData {
+  /**
+   * The module ID that was passed to `importFileProcessor()`, `importModule()`, or `reloadModule()`.
+   */
+  moduleId: string;
+
+  /**
+   * Indicates whether the module was reloaded via `reloadModule()`.
+   */
+  reload: boolean;
+}
+
+
+/**
+ * The data for events about a file that is processed by a worker thread.
+ */
+export interface TaskEventData extends WorkerEventData {
+  /**
+   * The module ID of the `FileProcessor` that is processing the file.
+   */
+  moduleId: string;
+
+  /**
+   * The path of the file that is being processed.
+   */
+  path: string;
+}
+
+
+/**
+ * The data for the "taskEnd" event.
+ */
+export interface TaskEndEventData extends TaskEventData {
+  /**
+   * How long (in milliseconds) it took to process the file.
+   */
+  duration: number;
+
+  /**
+   * The number of output files that the `FileProcessor` produced.
+   */
+  outputCount: number;
+}
+
+
+/**
+ * The data for the "taskError" event.
+ */
+export interface TaskErrorEventData extends TaskEventData {
+  /**
+   * How long (in milliseconds) the file was processed before the error occurred.
+   */
+  duration: number;
+
+  /**
+   * The error that occurred.
+   */
+  error: Error;
+}
+
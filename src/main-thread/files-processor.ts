@@ -0,0 +1,7 @@
+import { File, FileInfo, Run, ZeroOrMore } from "@code-engine/types";
+
+/**
+ * A CodeEngine plugin's `processFiles()` method, which processes all files at once rather than
+ * one at a time. This is useful for bundlers, sitemap generators, link checkers, etc.
+ */
+export type FilesProcessor = (files: AsyncIterable<File>, run: Run) => ZeroOrMore<FileInfo> | Promise<ZeroOrMore<FileInfo>>;
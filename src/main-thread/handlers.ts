@@ -0,0 +1,11 @@
+/**
+ * A function on the main thread that `FileProcessor` plugins can call from worker threads
+ * via `run.call()`. It can return a value or a Promise.
+ */
+export type MainThreadHandler = (...args: never[]) => unknown;
+
+/**
+ * The handlers that have been registered on the main thread, by name.
+ * @internal
+ */
+export type MainThreadHandlers = Map<string, MainThreadHandler>;
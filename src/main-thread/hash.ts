@@ -0,0 +1,15 @@
+/**
+ * Returns a stable 32-bit hash of the given string, using the FNV-1a algorithm.
+ * The same string always produces the same hash, in every thread and process.
+ * @internal
+ */
+export function hash(value: string): number {
+  let result = 0x811c9dc5;
+
+  for (let i = 0; i < value.length; i++) {
+    result ^= value.charCodeAt(i);    // eslint-disable-line no-bitwise
+    result = Math.imul(result, 0x01000193);
+  }
+
+  return result >>> 0;   // eslint-disable-line no-bitwise
+}
@@ -1,9 +1,10 @@
 import { EventName } from "@code-engine/types";
 import { ono } from "@jsdevtools/ono";
 import { Worker, WorkerOptions } from "worker_threads";
-import { createError } from "../clone/error";
+import { createError, ErrorClasses } from "../clone/error";
 import { Message } from "../messaging/messages";
 import { FinishedReply, Reply } from "../messaging/replies";
+import { isRequest, Request } from "../messaging/requests";
 
 let messageCounter = 0;
 
@@ -12,12 +13,14 @@ let messageCounter = 0;
  * and generator semantics.
  * @internal
  */
-export class Messenger extends Worker {
+export abstract class Messenger extends Worker {
   private readonly _pending = new Map<number, PendingMessage>();
   private readonly _completed: number[] = [];
+  protected readonly _errorClasses: ErrorClasses;
 
-  public constructor(filename: string, options?: WorkerOptions) {
+  public constructor(filename: string, errorClasses: ErrorClasses, options?: WorkerOptions) {
     super(filename, options);
+    this._errorClasses = errorClasses;
     this.on("message", this._handleMessage.bind(this));
   }
 
@@ -25,8 +28,26 @@ export class Messenger extends Worker {
    * Sends a message to the `Executor`.
    */
   public postMessage(message: Message, transferList?: ArrayBuffer[]): number {
+    let id = this.createMessageId();
+    super.postMessage({ ...message, id }, transferList);
+    return id;
+  }
+
+  /**
+   * Sends a message to the `Executor` that doesn't expect a reply.
+   */
+  public notify(message: Message, transferList?: ArrayBuffer[]): void {
     let id = ++messageCounter;
     super.postMessage({ ...message, id }, transferList);
+  }
+
+  /**
+   * Allocates a message ID and starts waiting for replies to it. This allows a single message
+   * to contain several requests that the `Executor` replies to separately.
+   */
+  public createMessageId(): number {
+    let id = ++messageCounter;
+    this._pending.set(id, new PendingMessage());
     return id;
   }
 
@@ -36,7 +57,7 @@ export class Messenger extends Worker {
    */
   public async postMessageAsync(message: Message, transferList?: ArrayBuffer[]): Promise<Reply> {
     let id = this.postMessage(message, transferList);
-    return this._awaitReply(id);
+    return this.awaitReply(id);
   }
 
   /**
@@ -44,21 +65,64 @@ export class Messenger extends Worker {
    * the message then the generator will reject.
    */
   public async* postMessageWithReplies(message: Message, transferList?: ArrayBuffer[]): AsyncGenerator<Reply, FinishedReply> {
-    // Send the message and await the first reply
-    let reply = await this.postMessageAsync(message, transferList);
+    let id = this.postMessage(message, transferList);
+    return yield* this.awaitReplies(id);
+  }
 
-    while (reply.type !== "finished") {
-      // Immediately start waiting for the next reply,
-      // in case it arrives while this generator function is paused
-      let nextReply = this._awaitReply(reply.to);
+  /**
+   * Returns a promise that resolves when the `Executor` replies to a message that has already been sent.
+   * If an error occurs while processing the message, then the promise will reject.
+   */
+  public async awaitReply(id: number): Promise<Reply> {
+    let pending = this._pending.get(id);
+
+    if (!pending) {
+      throw ono({ messageId: id }, `Invalid message ID: ${id}`);
+    }
+
+    return pending.next();
+  }
 
+  /**
+   * Yields all replies to a message that has already been sent to the `Executor`.
+   * If an error occurs while processing the message then the generator will reject.
+   */
+  public async* awaitReplies(id: number): AsyncGenerator<Reply, FinishedReply> {
+    let pending = this._pending.get(id);
+
+    if (!pending) {
+      throw ono({ messageId: id }, `Invalid message ID: ${id}`);
+    }
+
+    let reply = await pending.next();
+
+    while (reply.type !== "finished") {
       yield reply;
-      reply = await nextReply;
+      reply = await pending.next();
     }
 
     return reply;
   }
 
+  /**
+   * Rejects a single pending message without waiting for the `Executor` to finish it.
+   * Any further replies to the message are ignored.
+   *
+   * @returns - `true` if the message was still pending
+   */
+  public rejectPendingMessage(id: number, error: Error): boolean {
+    let pending = this._pending.get(id);
+
+    if (!pending) {
+      return false;
+    }
+
+    this._pending.delete(id);
+    this._completed.push(id);
+    pending.reject(error);
+    return true;
+  }
+
   /**
    * Rejects all pending messages between the `Worker` and the `Executor`.
    */
@@ -73,31 +137,37 @@ export class Messenger extends Worker {
   }
 
   /**
-   * Returns a promise that resolves when the `Executor` replies to the specified message.
-   * If an error occurs while processing the message, then the promise will reject.
+   * Handles a request from the `Executor`, and responds to it with a `ResultMessage`.
    */
-  private async _awaitReply(id: number): Promise<Reply> {
-    return new Promise<Reply>((resolve, reject) => {
-      this._pending.set(id, { resolve, reject });
-    });
-  }
+  protected abstract handleRequest(request: Request): Promise<void>;
 
   /**
    * Handles incoming messages from the `Executor`.
    */
-  private _handleMessage(reply: Reply) {
+  private _handleMessage(reply: Reply | Request) {
+    if (isRequest(reply)) {
+      // Requests aren't replies to our messages, so they're handled separately
+      this.handleRequest(reply).catch((error: Error) => this.emit(EventName.Error, error));
+      return;
+    }
+
     try {
-      // Delete the pending message, now that it's done
       let message = this._pending.get(reply.to);
-      this._pending.delete(reply.to);
 
       if (message) {
-        this._completed.push(reply.to);
-
         if (reply.type === "error") {
-          message.reject(createError(reply.error));
+          // Delete the pending message, now that it's done
+          this._pending.delete(reply.to);
+          this._completed.push(reply.to);
+          message.reject(createError(reply.error, this._errorClasses));
         }
         else {
+          if (reply.type === "finished") {
+            // Delete the pending message, now that it's done
+            this._pending.delete(reply.to);
+            this._completed.push(reply.to);
+          }
+
           message.resolve(reply);
         }
       }
@@ -117,15 +187,56 @@ export class Messenger extends Worker {
 
 /**
  * A message that was sent from a `Worker` to an `Executor` and is still being processed.
+ * Replies are buffered until they are read.
  */
-interface PendingMessage {
+class PendingMessage {
+  private readonly _replies: Reply[] = [];
+  private _rejected = false;
+  private _error?: unknown;
+  private _waiting?: { resolve(reply: Reply): void; reject(reason: unknown): void };
+
   /**
-   * Resolves the pending Promise when the `Executor` replies.
+   * Returns the next reply, waiting for it to arrive if necessary.
    */
-  resolve(reply: Reply): void;
+  public async next(): Promise<Reply> {
+    if (this._replies.length > 0) {
+      return this._replies.shift()!;
+    }
+    else if (this._rejected) {
+      throw this._error;
+    }
+    else {
+      return new Promise<Reply>((resolve, reject) => this._waiting = { resolve, reject });
+    }
+  }
 
   /**
-   * Rejects the pending Promise when an error occurs or the thread is terminated.
+   * Adds a reply from the `Executor`.
    */
-  reject(reason: Error): void;
+  public resolve(reply: Reply): void {
+    let waiting = this._waiting;
+    this._waiting = undefined;
+
+    if (waiting) {
+      waiting.resolve(reply);
+    }
+    else {
+      this._replies.push(reply);
+    }
+  }
+
+  /**
+   * Rejects the message when an error occurs or the thread is terminated.
+   * Plugins can throw values that aren't errors, so the reason can be any value.
+   */
+  public reject(reason: unknown): void {
+    let waiting = this._waiting;
+    this._waiting = undefined;
+    this._rejected = true;
+    this._error = reason;
+
+    if (waiting) {
+      waiting.reject(reason);
+    }
+  }
 }
@@ -0,0 +1,27 @@
+import { resolveModule } from "@code-engine/utils";
+
+/**
+ * Matches a module ID that selects a named export, such as "my-plugins#minify".
+ */
+const namedExportPattern = /^(.+)#([a-zA-Z_$][\w$]*)$/;
+
+/**
+ * Splits a module ID like "my-plugins#minify" into the module ID and the name of the export.
+ * The "#" is only treated as an export selector if the full module ID can't be resolved as written,
+ * so a path like "./plugins/my#minify" still imports that file.
+ *
+ * @param moduleId - The module name or path, optionally followed by "#exportName"
+ * @param cwd - The directory to start searching for the module
+ *
+ * @internal
+ */
+export function parseModuleId(moduleId: string, cwd: string): { moduleId: string; exportName?: string } {
+  let match = namedExportPattern.exec(moduleId);
+
+  if (match && !resolveModule(moduleId, cwd)) {
+    return { moduleId: match[1], exportName: match[2] };
+  }
+  else {
+    return { moduleId };
+  }
+}
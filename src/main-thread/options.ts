@@ -0,0 +1,427 @@
+import { File } from "@code-engine/types";
+import { assert } from "@jsdevtools/assert";
+import { ono } from "@jsdevtools/ono";
+import { SHARE_ENV, WorkerOptions } from "worker_threads";
+import { WorkerPoolStats } from "./stats";
+
+/**
+ * Options that control how a `WorkerPool` manages its worker threads.
+ */
+export interface WorkerPoolOptions {
+  /**
+   * The number of worker threads that are always running.
+   *
+   * Defaults to the CodeEngine `concurrency` setting.
+   */
+  minWorkers?: number;
+
+  /**
+   * The maximum number of worker threads. Additional threads are started when files are
+   * waiting to be processed, and are stopped once they've been idle for the `idleTimeout`.
+   *
+   * Defaults to the CodeEngine `concurrency` setting, or `minWorkers` if greater.
+   */
+  maxWorkers?: number;
+
+  /**
+   * How long (in milliseconds) a worker thread must be idle before it is stopped.
+   * The pool never shrinks below `minWorkers`.
+   *
+   * Defaults to `Infinity`.
+   */
+  idleTimeout?: number;
+
+  /**
+   * The maximum number of files that each worker thread processes at the same time.
+   * Additional files wait in the pool's queue until a worker is available.
+   * It cannot be less than `batchSize`. `FilesProcessor` plugins don't count toward this limit
+   * once they've started, since they wait for input files that other plugins may be processing.
+   * Nor do files whose output is waiting to be read (see `outputBufferSize`).
+   *
+   * Defaults to 1, or twice the `batchSize` if it's set.
+   */
+  maxTasksPerWorker?: number;
+
+  /**
+   * The maximum number of times that crashed worker threads are replaced. Each replacement
+   * re-imports all of the modules that were imported into the pool. Workers that fail to
+   * re-import the modules are retried too, up to the same number of times in a row, but they
+   * don't count toward the limit for crashes.
+   *
+   * Defaults to 3.
+   */
+  maxRestarts?: number;
+
+  /**
+   * The number of files that a worker thread processes before it is replaced with a new thread.
+   * This limits the impact of plugins that leak memory.
+   *
+   * Defaults to `Infinity`.
+   */
+  recycleAfterTasks?: number;
+
+  /**
+   * The heap size (in bytes) at which a worker thread is replaced with a new thread.
+   * The old thread finishes the files that it's already processing before it's terminated.
+   *
+   * Defaults to `Infinity`.
+   */
+  recycleHeapLimit?: number;
+
+  /**
+   * The maximum number of files that are sent to a worker thread in a single message.
+   * Batching many small files reduces the messaging overhead between threads.
+   * A worker only receives a new batch once it has room for all of it, so `maxTasksPerWorker`
+   * cannot be less than this value. It defaults to twice this value, so a worker can receive
+   * its next batch while it's still processing the current one.
+   *
+   * Defaults to 1, which sends each file separately.
+   */
+  batchSize?: number;
+
+  /**
+   * The total size (in bytes) of the file contents at which a batch is sent,
+   * even if it has fewer than `batchSize` files.
+   *
+   * Defaults to 1 MiB.
+   */
+  batchBytes?: number;
+
+  /**
+   * How long (in milliseconds) to wait for more files before sending a batch that has fewer
+   * than `batchSize` files.
+   *
+   * Defaults to 0, which only batches files that are sent to the same worker at the same time.
+   */
+  batchLatency?: number;
+
+  /**
+   * How file contents are sent to worker threads.
+   *
+   * - "copy" sends a copy of the contents, so the original file is unaffected.
+   * - "transfer" moves the contents' memory to the worker thread without copying it, which leaves
+   *   the original file empty. Only use this if nothing else on the main thread uses the file.
+   * - "share" sends the contents as shared memory. Contents that are already backed by a
+   *   `SharedArrayBuffer` aren't copied at all. Plugins must not modify shared contents in place.
+   *
+   * Defaults to "copy".
+   */
+  contentTransfer?: ContentTransfer;
+
+  /**
+   * The size (in bytes) above which file contents are streamed to worker threads in chunks,
+   * rather than sent in a single message. Output files that are larger than this are streamed back
+   * to the main thread the same way. Plugins read streamed contents from `file.contentStream`
+   * (see `StreamedFile`), and reading `file.contents` throws an error unless the plugin replaces them.
+   *
+   * Defaults to `Infinity`, which never streams file contents.
+   */
+  streamThreshold?: number;
+
+  /**
+   * The size (in bytes) of each chunk of streamed file contents.
+   *
+   * Defaults to 1 MiB.
+   */
+  streamChunkSize?: number;
+
+  /**
+   * The maximum number of output files that a worker thread sends before they are read.
+   * Plugins that generate many output files are paused until the main thread catches up.
+   *
+   * Defaults to 16.
+   */
+  outputBufferSize?: number;
+
+  /**
+   * The maximum amount of time (in milliseconds) that a plugin can take to process a file.
+   * If the time is exceeded, the file is rejected with an error and the plugin is cancelled.
+   * Worker threads that don't respond to the cancellation are replaced.
+   *
+   * Time that the plugin spends waiting for its output files to be read (see `outputBufferSize`)
+   * doesn't count toward the timeout.
+   *
+   * Defaults to `Infinity`.
+   */
+  processFileTimeout?: number;
+
+  /**
+   * The maximum amount of time (in milliseconds) that a module can take to import,
+   * including its factory function.
+   *
+   * Defaults to `Infinity`.
+   */
+  importTimeout?: number;
+
+  /**
+   * Routes files to workers consistently, so the same file is always processed by the same worker
+   * (unless that worker has exited or is at capacity). This allows plugins to cache data in memory.
+   *
+   * If `true`, files are routed by their path. If a function, files are routed by the key that it returns.
+   *
+   * Defaults to `false`.
+   */
+  affinity?: boolean | AffinityKey;
+
+  /**
+   * Whether modules are loaded via `require()` ("commonjs") or `import()` ("module").
+   * ECMAScript modules can only be loaded via `import()`.
+   *
+   * Defaults to "auto", which detects the module type the same way Node.js does, based on the file
+   * extension (.mjs or .cjs) or the `type` field in the nearest `package.json` file.
+   */
+  moduleType?: ModuleType;
+
+  /**
+   * How long values in the shared cache (`run.cache`) are kept.
+   *
+   * - "run" clears the cache when the first file from a new `Run` is processed.
+   * - "pool" keeps values until they are deleted or the cache is cleared explicitly.
+   *
+   * Defaults to "run".
+   */
+  cacheScope?: CacheScope;
+
+  /**
+   * Adds a prefix to the text of log messages from worker threads, which identifies the worker,
+   * module, and file that each message came from. This is useful for plain-text loggers that don't
+   * show the log data, which always includes this information.
+   *
+   * If `true`, messages are prefixed like "[worker #3 my-plugin.js file.txt] ".
+   * If a function, messages are prefixed with the string that it returns.
+   *
+   * Defaults to `false`.
+   */
+  logPrefix?: boolean | LogPrefix;
+
+  /**
+   * A function that periodically receives a snapshot of the pool's statistics,
+   * which are the same as those returned by `WorkerPool.stats()`.
+   */
+  onStats?(stats: WorkerPoolStats): void;
+
+  /**
+   * How often (in milliseconds) the `onStats` function is called.
+   *
+   * Defaults to 1000.
+   */
+  statsInterval?: number;
+
+  /**
+   * Options that are passed to each worker thread, such as `resourceLimits` and `execArgv`.
+   * Any options that aren't specified use the same defaults as Node.js.
+   *
+   * If `stdout` or `stderr` is `true`, then the worker's output isn't written to the process's
+   * output. Instead, each line is logged via the CodeEngine logger, as info or warning messages.
+   */
+  workerOptions?: WorkerThreadOptions;
+}
+
+
+/**
+ * How file contents are sent to worker threads.
+ */
+export type ContentTransfer = "copy" | "transfer" | "share";
+
+
+/**
+ * The type of JavaScript module to import.
+ */
+export type ModuleType = "auto" | "commonjs" | "module";
+
+
+/**
+ * How long values in the shared cache are kept.
+ */
+export type CacheScope = "run" | "pool";
+
+
+/**
+ * The subset of Node's `WorkerOptions` that can be set for CodeEngine worker threads.
+ */
+export type WorkerThreadOptions = Pick<WorkerOptions, "argv" | "env" | "execArgv" | "resourceLimits" | "stdout" | "stderr">;
+
+
+/**
+ * Returns the key that determines which worker processes a file.
+ * Files with the same key are processed by the same worker.
+ */
+export type AffinityKey = (file: File) => string;
+
+
+/**
+ * Returns the text to prepend to a log message from a worker thread.
+ */
+export type LogPrefix = (attribution: LogAttribution) => string;
+
+
+/**
+ * Identifies where a log message from a worker thread came from. These properties are added to
+ * the log data, unless the plugin sets properties with the same names.
+ */
+export interface LogAttribution {
+  /**
+   * The worker's thread ID.
+   */
+  workerId: number;
+
+  /**
+   * The module ID of the plugin that logged the message. For functions that are called via `exec()`,
+   * it's "module-id#exportName".
+   */
+  moduleId: string;
+
+  /**
+   * The path of the file that was being processed, if the plugin processes one file at a time.
+   */
+  path?: string;
+}
+
+
+/**
+ * Options for `WorkerPool.dispose()`.
+ */
+export interface DisposeOptions {
+  /**
+   * Waits for the files that are already being processed to finish, and calls each module's
+   * `teardown` export (if any) before terminating the worker threads. Files that are still
+   * waiting in the queue are rejected.
+   *
+   * Defaults to `false`, which terminates the worker threads immediately.
+   */
+  graceful?: boolean;
+
+  /**
+   * The maximum amount of time (in milliseconds) to wait for a graceful dispose.
+   * Once the time is exceeded, the worker threads are terminated immediately.
+   *
+   * Defaults to 30 seconds.
+   */
+  timeout?: number;
+}
+
+
+/**
+ * Validated `WorkerPoolOptions` with defaults applied.
+ * @internal
+ */
+export interface NormalizedOptions extends Required<Omit<WorkerPoolOptions, "affinity" | "logPrefix" | "onStats">> {
+  affinity?: AffinityKey;
+  logPrefix?: LogPrefix;
+  onStats?(stats: WorkerPoolStats): void;
+}
+
+
+/**
+ * Validates the given `WorkerPoolOptions` and applies default values.
+ * @internal
+ */
+export function normalizeOptions(options: WorkerPoolOptions | undefined, concurrency: number): NormalizedOptions {
+  options = assert.type.object(options, "WorkerPool options", {});
+
+  // The default min and max depend on each other, so validate them before applying defaults
+  let minWorkers = options.minWorkers === undefined ? 0 : assert.number.integer.positive(options.minWorkers, "minWorkers");
+  let maxWorkers = assert.number.integer.positive(options.maxWorkers, "maxWorkers", Math.max(concurrency, minWorkers));
+  minWorkers = minWorkers || Math.min(concurrency, maxWorkers);
+
+  if (minWorkers > maxWorkers) {
+    throw ono.range(`Invalid maxWorkers: ${maxWorkers}. It cannot be less than minWorkers (${minWorkers}).`);
+  }
+
+  // A worker only receives a new batch once it has room for all of it, so it needs room for at least one batch
+  let batchSize = assert.number.integer.positive(options.batchSize, "batchSize", 1);
+  let maxTasksPerWorker = assert.number.integer.positive(
+    options.maxTasksPerWorker, "maxTasksPerWorker", batchSize === 1 ? 1 : batchSize * 2);
+
+  if (batchSize > maxTasksPerWorker) {
+    throw ono.range(`Invalid batchSize: ${batchSize}. It cannot be more than maxTasksPerWorker (${maxTasksPerWorker}).`);
+  }
+
+  let affinity = assert.type.oneOf(options.affinity, [Boolean, Function], "affinity", false);
+  let logPrefix = assert.type.oneOf(options.logPrefix, [Boolean, Function], "logPrefix", false);
+
+  return {
+    minWorkers,
+    maxWorkers,
+    idleTimeout: assert.number.positive(options.idleTimeout, "idleTimeout", Infinity),
+    maxTasksPerWorker,
+    maxRestarts: assert.number.integer.nonNegative(options.maxRestarts, "maxRestarts", 3),
+    recycleAfterTasks: assert.number.positive(options.recycleAfterTasks, "recycleAfterTasks", Infinity),
+    recycleHeapLimit: assert.number.positive(options.recycleHeapLimit, "recycleHeapLimit", Infinity),
+    batchSize,
+    batchBytes: assert.number.positive(options.batchBytes, "batchBytes", 1024 * 1024),
+    batchLatency: assert.number.integer.nonNegative(options.batchLatency, "batchLatency", 0),
+    contentTransfer: assert.value.oneOf(options.contentTransfer, ["copy", "transfer", "share"], "contentTransfer", "copy"),
+    streamThreshold: assert.number.nonNegative(options.streamThreshold, "streamThreshold", Infinity),
+    streamChunkSize: assert.number.integer.positive(options.streamChunkSize, "streamChunkSize", 1024 * 1024),
+    outputBufferSize: assert.number.integer.positive(options.outputBufferSize, "outputBufferSize", 16),
+    processFileTimeout: assert.number.positive(options.processFileTimeout, "processFileTimeout", Infinity),
+    importTimeout: assert.number.positive(options.importTimeout, "importTimeout", Infinity),
+    moduleType: assert.value.oneOf(options.moduleType, ["auto", "commonjs", "module"], "moduleType", "auto"),
+    cacheScope: assert.value.oneOf(options.cacheScope, ["run", "pool"], "cacheScope", "run"),
+    affinity: affinity === true ? (file: File) => file.path : affinity || undefined,
+    logPrefix: logPrefix === true ? defaultLogPrefix : logPrefix || undefined,
+    onStats: options.onStats === undefined ? undefined : assert.type.function(options.onStats, "onStats"),
+    statsInterval: assert.number.positive(options.statsInterval, "statsInterval", 1000),
+    workerOptions: normalizeWorkerOptions(options.workerOptions),
+  };
+}
+
+
+/**
+ * Validates the given `DisposeOptions` and applies default values.
+ * @internal
+ */
+export function normalizeDisposeOptions(options: DisposeOptions | undefined): Required<DisposeOptions> {
+  options = assert.type.object(options, "dispose options", {});
+
+  return {
+    graceful: assert.type.boolean(options.graceful, "graceful", false),
+    timeout: assert.number.positive(options.timeout, "timeout", 30000),
+  };
+}
+
+
+/**
+ * The default `logPrefix`, which includes the worker, module, and file path (if any).
+ */
+function defaultLogPrefix({ workerId, moduleId, path }: LogAttribution): string {
+  return `[worker #${workerId} ${moduleId}${path === undefined ? "" : ` ${path}`}] `;
+}
+
+
+/**
+ * Validates the given `WorkerThreadOptions` and omits any that aren't set,
+ * so Node's defaults apply.
+ */
+function normalizeWorkerOptions(options: WorkerThreadOptions | undefined): WorkerThreadOptions {
+  options = assert.type.object(options, "workerOptions", {});
+  let normalized: WorkerThreadOptions = {};
+
+  if (options.argv !== undefined) {
+    normalized.argv = assert.type.array(options.argv, "workerOptions.argv").slice();
+  }
+
+  if (options.env !== undefined) {
+    normalized.env = options.env === SHARE_ENV ? SHARE_ENV : { ...assert.type.object(options.env, "workerOptions.env") };
+  }
+
+  if (options.execArgv !== undefined) {
+    normalized.execArgv = assert.type.array(options.execArgv, "workerOptions.execArgv")
+      .map((arg, index) => assert.string(arg, `workerOptions.execArgv[${index}]`));
+  }
+
+  if (options.resourceLimits !== undefined) {
+    normalized.resourceLimits = { ...assert.type.object(options.resourceLimits, "workerOptions.resourceLimits") };
+  }
+
+  if (options.stdout !== undefined) {
+    normalized.stdout = assert.type.boolean(options.stdout, "workerOptions.stdout");
+  }
+
+  if (options.stderr !== undefined) {
+    normalized.stderr = assert.type.boolean(options.stderr, "workerOptions.stderr");
+  }
+
+  return normalized;
+}
@@ -0,0 +1,199 @@
+/**
+ * A snapshot of what a `WorkerPool` is doing.
+ */
+export interface WorkerPoolStats {
+  /**
+   * The number of files that are waiting for a worker to become available.
+   */
+  queued: number;
+
+  /**
+   * The number of times that crashed worker threads have been replaced.
+   */
+  restarts: number;
+
+  /**
+   * Statistics for each worker thread that is currently running.
+   */
+  workers: WorkerStats[];
+
+  /**
+   * Statistics for each `FileProcessor` or `FilesProcessor` that has been imported,
+   * and each function that has been called via `exec()`.
+   */
+  modules: ModuleStats[];
+}
+
+
+/**
+ * Statistics for a single worker thread.
+ */
+export interface WorkerStats {
+  /**
+   * The worker's thread ID.
+   */
+  workerId: number;
+
+  /**
+   * The number of files that the worker is currently processing.
+   */
+  tasksInFlight: number;
+
+  /**
+   * The number of files that the worker has processed successfully.
+   */
+  tasksCompleted: number;
+
+  /**
+   * The number of files that the worker failed to process.
+   */
+  tasksFailed: number;
+
+  /**
+   * The total time (in milliseconds) that the worker has spent processing at least one file.
+   */
+  busyTime: number;
+
+  /**
+   * The total time (in milliseconds) that the worker has been running without processing any files.
+   */
+  idleTime: number;
+
+  /**
+   * The total size (in bytes) of the file contents that were sent to the worker.
+   */
+  bytesSent: number;
+
+  /**
+   * The total size (in bytes) of the file contents that the worker sent back.
+   */
+  bytesReceived: number;
+
+  /**
+   * The worker's heap usage (in bytes), as of the last file that it processed.
+   */
+  heapUsed: number;
+}
+
+
+/**
+ * Statistics for a single `FileProcessor` module (or function that is called via `exec()`),
+ * across all worker threads.
+ */
+export interface ModuleStats {
+  /**
+   * The module ID that was passed to `importFileProcessor()` or `importFilesProcessor()`.
+   * For functions that are called via `exec()`, it's "module-id#exportName".
+   */
+  moduleId: string;
+
+  /**
+   * The number of files that the module has processed successfully.
+   */
+  tasksCompleted: number;
+
+  /**
+   * The number of files that the module failed to process.
+   */
+  tasksFailed: number;
+
+  /**
+   * The average time (in milliseconds) that it took to process a file.
+   */
+  averageDuration: number;
+
+  /**
+   * The 95th-percentile time (in milliseconds) that it took to process a file,
+   * based on the most recent files.
+   */
+  p95Duration: number;
+}
+
+
+/**
+ * The outcome of a file that was processed by a `Worker`.
+ * @internal
+ */
+export interface TaskResult {
+  /**
+   * The unique ID of the module that processed the file.
+   */
+  moduleUID: number;
+
+  /**
+   * The path of the file that was processed.
+   */
+  path: string;
+
+  /**
+   * How long (in milliseconds) it took to process the file.
+   */
+  duration: number;
+
+  /**
+   * The number of output files that were produced.
+   */
+  outputCount: number;
+
+  /**
+   * The error that occurred, if the file failed to process.
+   */
+  error?: Error;
+}
+
+
+/**
+ * The number of durations that are kept for calculating percentiles.
+ */
+const sampleSize = 1000;
+
+/**
+ * Collects the `ModuleStats` for a `FileProcessor` module.
+ * @internal
+ */
+export class ModuleTimings {
+  public readonly moduleId: string;
+  private _tasksCompleted = 0;
+  private _tasksFailed = 0;
+  private _totalDuration = 0;
+  private readonly _samples: number[] = [];
+
+  public constructor(moduleId: string) {
+    this.moduleId = moduleId;
+  }
+
+  /**
+   * Records the outcome of a file that was processed by the module.
+   */
+  public add(result: TaskResult): void {
+    if (result.error) {
+      this._tasksFailed++;
+    }
+    else {
+      this._tasksCompleted++;
+    }
+
+    this._totalDuration += result.duration;
+    this._samples.push(result.duration);
+
+    if (this._samples.length > sampleSize) {
+      this._samples.shift();
+    }
+  }
+
+  /**
+   * Returns a snapshot of the module's statistics.
+   */
+  public get stats(): ModuleStats {
+    let count = this._tasksCompleted + this._tasksFailed;
+    let sorted = [...this._samples].sort((a, b) => a - b);
+
+    return {
+      moduleId: this.moduleId,
+      tasksCompleted: this._tasksCompleted,
+      tasksFailed: this._tasksFailed,
+      averageDuration: count === 0 ? 0 : this._totalDuration / count,
+      p95Duration: sorted.length === 0 ? 0 : sorted[Math.ceil(sorted.length * 0.95) - 1],
+    };
+  }
+}
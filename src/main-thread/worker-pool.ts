@@ -1,13 +1,49 @@
-import { Cloneable, CodeEngine, EventName, File, FileProcessor, Run } from "@code-engine/types";
+import { Cloneable, CodeEngine, EventName, File, FileInfo, FileProcessor, Run } from "@code-engine/types";
 import { assert } from "@jsdevtools/assert";
 import { ono } from "@jsdevtools/ono";
-import { ImportFileProcessorMessage, ImportModuleMessage } from "../messaging/messages";
-import { Worker } from "./worker";
+import { EventEmitter } from "events";
+import { ErrorClass, ErrorClasses } from "../clone/error";
+import { cloneContext } from "../clone/run";
+import { Serializers } from "../clone/serializers";
+import { BroadcastMessage, ExecMessage, ImportFileProcessorMessage, ImportFilesProcessorMessage, ImportModuleMessage, ImportSerializersMessage, ReloadMessage, UnloadFileProcessorMessage } from "../messaging/messages";
+import { ValueReply } from "../messaging/replies";
+import { importModule } from "../worker-thread/import-module";
+import { CacheStore } from "./cache-store";
+import { WorkerPoolEvents } from "./events";
+import { FilesProcessor } from "./files-processor";
+import { MainThreadHandler, MainThreadHandlers } from "./handlers";
+import { hash } from "./hash";
+import { parseModuleId } from "./module-id";
+import { DisposeOptions, normalizeDisposeOptions, normalizeOptions, NormalizedOptions, WorkerPoolOptions } from "./options";
+import { ModuleTimings, TaskResult, WorkerPoolStats } from "./stats";
+import { Worker, WorkerLoad } from "./worker";
+
+/**
+ * Ends the worker-thread task of an `exec()` iterable that's garbage-collected before it's read to the end.
+ * Node 12 doesn't have `FinalizationRegistry`, so there the task only ends when the iterable is returned early.
+ */
+const abandonedExecs = typeof FinalizationRegistry === "function"
+  ? new FinalizationRegistry<AsyncGenerator<ValueReply>>((output) => { output.return(undefined).catch(() => undefined); })
+  : undefined;
+
+/**
+ * Typed `EventEmitter` methods for `WorkerPool` events.
+ */
+export interface WorkerPool {
+  addListener<TEvent extends keyof WorkerPoolEvents>(event: TEvent, listener: (data: WorkerPoolEvents[TEvent]) => void): this;
+  on<TEvent extends keyof WorkerPoolEvents>(event: TEvent, listener: (data: WorkerPoolEvents[TEvent]) => void): this;
+  once<TEvent extends keyof WorkerPoolEvents>(event: TEvent, listener: (data: WorkerPoolEvents[TEvent]) => void): this;
+  prependListener<TEvent extends keyof WorkerPoolEvents>(event: TEvent, listener: (data: WorkerPoolEvents[TEvent]) => void): this;
+  prependOnceListener<TEvent extends keyof WorkerPoolEvents>(event: TEvent, listener: (data: WorkerPoolEvents[TEvent]) => void): this;
+  removeListener<TEvent extends keyof WorkerPoolEvents>(event: TEvent, listener: (data: WorkerPoolEvents[TEvent]) => void): this;
+  off<TEvent extends keyof WorkerPoolEvents>(event: TEvent, listener: (data: WorkerPoolEvents[TEvent]) => void): this;
+  emit<TEvent extends keyof WorkerPoolEvents>(event: TEvent, data: WorkerPoolEvents[TEvent]): boolean;
+}
 
 /**
  * Runs CodeEngine plugins on worker threads.
  */
-export class WorkerPool {
+export class WorkerPool extends EventEmitter {
   /** @internal */
   private _workers: Worker[] = [];
 
@@ -18,24 +54,92 @@ export class WorkerPool {
   private _moduleCounter = 0;
 
   /** @internal */
-  private _roundRobinCounter = 0;
+  private _queue: QueuedTask[] = [];
+
+  /** @internal */
+  private _imports: Array<ImportFileProcessorMessage | ImportFilesProcessorMessage | ImportModuleMessage> = [];
+
+  /** @internal */
+  private _fileProcessors = new Map<FileProcessor | FilesProcessor, ImportFileProcessorMessage | ImportFilesProcessorMessage>();
+
+  /** @internal */
+  private _execModules = new Map<string, number>();
+
+  /** @internal */
+  private _serializers = new Serializers();
+
+  /** @internal */
+  private _serializerImports: ImportSerializersMessage[] = [];
+
+  /** @internal */
+  private _errorClasses: ErrorClasses = new Map<string, ErrorClass>();
+
+  /** @internal */
+  private _handlers: MainThreadHandlers = new Map<string, MainThreadHandler>();
+
+  /** @internal */
+  private _cache: CacheStore;
+
+  /** @internal */
+  private _broadcasts = new Map<string, BroadcastMessage>();
+
+  /** @internal */
+  private _startingWorkers = new Set<Worker>();
+
+  /** @internal */
+  private _retiringWorkers = new Set<Worker>();
+
+  /** @internal */
+  private _drainingWorkers = new Set<Worker>();
+
+  /** @internal */
+  private _idleTimers = new Map<Worker, NodeJS.Timeout>();
+
+  /** @internal */
+  private _restartCount = 0;
+
+  /** @internal */
+  private _startFailures = 0;
+
+  /** @internal */
+  private _startError?: Error;
+
+  /** @internal */
+  private _moduleTimings = new Map<number, ModuleTimings>();
+
+  /** @internal */
+  private _statsTimer?: NodeJS.Timeout;
+
+  /** @internal */
+  private _engine: CodeEngine;
 
   /** @internal */
   private _cwd: string;
 
-  public constructor(engine: CodeEngine) {
+  /** @internal */
+  private _options: NormalizedOptions;
+
+  public constructor(engine: CodeEngine, options?: WorkerPoolOptions) {
+    super();
     assert.value(engine, "CodeEngine instance");
     assert.type.function(engine.emit, "EventEmitter");
 
+    this._engine = engine;
     this._cwd = assert.string.nonWhitespace(engine.cwd, "cwd");
     let concurrency = assert.number.integer.positive(engine.concurrency, "concurrency");
+    this._options = normalizeOptions(options, concurrency);
+    this._cache = new CacheStore(this._options.cacheScope);
 
-    let emitError = (error: Error) => engine.emit(EventName.Error, error);
+    // Start the minimum number of workers. More are started on demand, up to the maximum.
+    for (let i = 0; i < this._options.minWorkers; i++) {
+      this._workers.push(this._createWorker());
+    }
 
-    for (let i = 0; i < concurrency; i++) {
-      let worker = new Worker(engine.log);
-      worker.on("error", emitError);
-      this._workers.push(worker);
+    let { onStats, statsInterval } = this._options;
+    if (onStats) {
+      // Don't keep the process alive just to report stats
+      this._statsTimer = setInterval(() => onStats!(this.stats()), statsInterval);
+      this._statsTimer.unref();
     }
   }
 
@@ -46,6 +150,19 @@ export class WorkerPool {
     return this._workers.length;
   }
 
+  /**
+   * Returns a snapshot of what the pool is doing, including per-worker task counts and timings,
+   * per-module durations, and the number of files that are waiting in the queue.
+   */
+  public stats(): WorkerPoolStats {
+    return {
+      queued: this._queue.length,
+      restarts: this._restartCount,
+      workers: [...this._workers, ...this._retiringWorkers].map((worker) => worker.stats),
+      modules: [...this._moduleTimings.values()].map((timings) => timings.stats),
+    };
+  }
+
   /**
    * Indicates whether the `dispose()` method has been called.
    * Once disposed, the `WorkerPool` instance is no longer usable.
@@ -58,68 +175,935 @@ export class WorkerPool {
   /**
    * Imports the specified `FileProcessor` module in all worker threads.
    *
+   * @param moduleId - The module to import. Use "module-id#exportName" to import a named export
+   * rather than the default export.
    * @returns - A proxy function that executes the processor in one of the threads.
    */
   public async importFileProcessor(moduleId: string, data?: Cloneable): Promise<FileProcessor> {
     this._assertNotDisposed();
     let cwd = this._cwd;
+    let moduleType = this._options.moduleType;
     let moduleUID = ++this._moduleCounter;
-    let message: ImportFileProcessorMessage = { type: "importFileProcessor", cwd, moduleUID, moduleId, data };
+    let message: ImportFileProcessorMessage = {
+      type: "importFileProcessor", cwd, moduleType, moduleUID, ...parseModuleId(moduleId, cwd),
+      data: this._serializers.encode(data),
+    };
 
     // Import the JavaScript module in all worker threads
-    let [name] = await Promise.all(
-      this._workers.map((worker) => worker.importFileProcessor(message))
-    );
+    let [name] = await this._import(message, (worker) => worker.importFileProcessor(message));
+    this._moduleTimings.set(moduleUID, new ModuleTimings(moduleId));
+    this.emit("moduleImported", { moduleId, reload: false });
 
     // Create a CodeEngine FileProcessor function that executes the module on a worker thread
     let plugin = {
-      [name]: (file: File, run: Run) => {
-        // Select a worker from the pool to process the files
-        let worker = this._select();
-
-        // Process the file on the worker thread
-        return worker.processFile(moduleUID, file, run);
-      }
+      [name]: (file: File, run: Run) => this._processFile(message, file, run),
     };
 
     // Return the FileProcessor function with the same name as the one in the module
+    this._fileProcessors.set(plugin[name], message);
+    return plugin[name];
+  }
+
+
+  /**
+   * Imports the specified `FilesProcessor` module in all worker threads. Unlike a `FileProcessor`,
+   * it processes all files at once, such as a bundler or sitemap generator.
+   *
+   * @param moduleId - The module to import. Use "module-id#exportName" to import a named export
+   * rather than the default export.
+   * @returns - A proxy function that executes the processor in one of the threads. The input files
+   * are sent to the thread as the processor reads them, and the output files are sent back.
+   */
+  public async importFilesProcessor(moduleId: string, data?: Cloneable): Promise<FilesProcessor> {
+    this._assertNotDisposed();
+    let cwd = this._cwd;
+    let moduleType = this._options.moduleType;
+    let moduleUID = ++this._moduleCounter;
+    let message: ImportFilesProcessorMessage = {
+      type: "importFilesProcessor", cwd, moduleType, moduleUID, ...parseModuleId(moduleId, cwd),
+      data: this._serializers.encode(data),
+    };
+
+    // Import the JavaScript module in all worker threads
+    let [name] = await this._import(message, (worker) => worker.importFileProcessor(message));
+    this._moduleTimings.set(moduleUID, new ModuleTimings(moduleId));
+    this.emit("moduleImported", { moduleId, reload: false });
+
+    // Create a CodeEngine FilesProcessor function that executes the module on a worker thread
+    let plugin = {
+      [name]: (files: AsyncIterable<File>, run: Run) => this._processAllFiles(message, files, run),
+    };
+
+    // Return the FilesProcessor function with the same name as the one in the module
+    this._fileProcessors.set(plugin[name], message);
     return plugin[name];
   }
 
 
   /**
    * Imports the specified JavaScript module in all worker threads.
+   *
+   * @param moduleId - The module to import. Use "module-id#exportName" to call a named export
+   * rather than the default export.
    */
   public async importModule(moduleId: string, data?: Cloneable): Promise<void> {
     this._assertNotDisposed();
     let cwd = this._cwd;
-    let message: ImportModuleMessage = { type: "importModule", cwd, moduleId, data };
+    let moduleType = this._options.moduleType;
+    let message: ImportModuleMessage = {
+      type: "importModule", cwd, moduleType, ...parseModuleId(moduleId, cwd), data: this._serializers.encode(data)
+    };
 
     // Import the JavaScript module in all worker threads
-    await Promise.all(
-      this._workers.map((worker) => worker.importModule(message))
-    );
+    await this._import(message, (worker) => worker.importModule(message));
+    this.emit("moduleImported", { moduleId, reload: false });
+  }
+
+
+  /**
+   * Calls a function that is exported by a module, on one of the worker threads. This is useful for
+   * CPU-heavy work that isn't tied to a file. The function's `this` context is a `WorkerContext`.
+   *
+   * @param moduleId - The module name or path. It doesn't need to be imported first.
+   * @param exportName - The name of the function to call. Use "default" to call the default export.
+   * @param args - The arguments to pass to the function. They are sent across the thread boundary.
+   * @returns - The function's return value. If the function returns an iterator (such as a generator),
+   * then the promise resolves with an async iterable of the values that it yields. The function keeps
+   * its worker until the iterable is read to the end, returned early (e.g. via `break`), or garbage-collected.
+   */
+  public async exec(moduleId: string, exportName: string, args: Cloneable[] = []): Promise<unknown> {
+    this._assertNotDisposed();
+    assert.string.nonWhitespace(moduleId, "moduleId");
+    assert.string.nonWhitespace(exportName, "export name");
+    assert.array(args, "arguments");
+
+    let message: ExecMessage = {
+      type: "exec", moduleId, exportName, cwd: this._cwd, moduleType: this._options.moduleType,
+      args: this._serializers.encode(args), context: cloneContext(this._engine), credits: this._options.outputBufferSize,
+    };
+
+    let moduleUID = this._getExecModuleUID(`${moduleId}#${exportName}`);
+    let output = await this._schedule((worker) => worker.exec(moduleUID, message, this._engine.log));
+
+    // The first reply determines whether the function returned a value or an iterator
+    let first = await output.next();
+
+    if (!first.done && !first.value.yielded) {
+      // Wait for the task to finish
+      await output.next();
+      return this._serializers.decode(first.value.value);
+    }
+
+    return this._iterateValues(first, output);
+  }
+
+
+  /**
+   * Imports a module that exports serializers, in the main thread and all worker threads.
+   * Values of the registered types keep their type when they're sent between threads
+   * as file metadata or factory data.
+   *
+   * @param moduleId - The module to import. It can export a single serializer or an array of them.
+   */
+  public async importSerializers(moduleId: string): Promise<void> {
+    this._assertNotDisposed();
+    let cwd = this._cwd;
+    let moduleType = this._options.moduleType;
+    let message: ImportSerializersMessage = { type: "importSerializers", cwd, moduleType, moduleId };
+
+    // Validate the serializers in this thread first
+    let serializers = new Serializers();
+    try {
+      serializers.add(await importModule(moduleId, cwd, moduleType));
+    }
+    catch (error) {
+      throw ono(error, { moduleId }, `Error importing module: ${moduleId}`);
+    }
+
+    // Import the serializers in all worker threads, so they can decode the values that we send
+    let workers = [...this._workers, ...this._startingWorkers];
+    this._serializerImports.push(message);
+
+    try {
+      await Promise.all(workers.map((worker) => worker.importSerializers(message)));
+    }
+    catch (error) {
+      this._serializerImports = this._serializerImports.filter((msg) => msg !== message);
+      throw error;
+    }
+
+    // Now that the worker threads have the serializers, start using them in this thread too
+    this._serializers.merge(serializers);
+  }
+
+
+  /**
+   * Registers a custom `Error` class, so errors of this class (or its subclasses) that are thrown
+   * in worker threads are re-created as instances of it in the main thread. Errors of unregistered
+   * classes are re-created as the nearest built-in `Error` class.
+   *
+   * @param errorClass - A class that extends `Error`. It must have the same name in all threads.
+   */
+  public registerErrorClass(errorClass: ErrorClass): void {
+    assert.type.function(errorClass, "Error class");
+
+    if (!(errorClass.prototype instanceof Error)) {
+      throw ono.type(`Invalid Error class: ${errorClass.name || "anonymous"}. Expected a class that extends Error.`);
+    }
+
+    this._errorClasses.set(errorClass.name, errorClass);
+  }
+
+
+  /**
+   * Delivers data to every worker module that subscribes to the channel via its `subscriptions` export.
+   * Workers that are started later receive the latest data for each channel.
+   *
+   * @param channel - The name of the channel
+   * @param data - The data to deliver. It is sent across the thread boundary.
+   * @returns - A promise that resolves once all workers have handled the data
+   */
+  public async broadcast(channel: string, data?: Cloneable): Promise<void> {
+    this._assertNotDisposed();
+    assert.string.nonWhitespace(channel, "channel");
+    let message: BroadcastMessage = { type: "broadcast", channel, data: this._serializers.encode(data) };
+
+    // Re-add the channel so workers that are replaying broadcasts will see the new data
+    this._broadcasts.delete(channel);
+    this._broadcasts.set(channel, message);
+
+    let workers = [...this._workers];
+    let errors: Error[] = [];
+    await Promise.all(workers.map(async(worker) => {
+      try {
+        await worker.broadcast(message);
+      }
+      catch (error) {
+        errors.push(error as Error);
+      }
+    }));
+
+    if (errors.length > 0) {
+      throw ono({ channel, errors },
+        `${errors.length} of ${workers.length} CodeEngine workers failed to handle the "${channel}" broadcast.`);
+    }
+  }
+
+
+  /**
+   * Removes all values from the cache that is shared by all worker threads.
+   */
+  public clearCache(): void {
+    this._cache.clear();
+  }
+
+
+  /**
+   * Registers a function on the main thread that `FileProcessor` plugins can call from worker threads
+   * via `run.call(name, ...args)`. This is useful for things that must only happen on the main thread,
+   * such as accessing shared resources. A handler replaces any existing one with the same name.
+   *
+   * @param name - The name that plugins use to call the handler
+   * @param handler - The function to call. Its arguments and return value are sent across the thread boundary.
+   */
+  public registerHandler(name: string, handler: MainThreadHandler): void {
+    assert.string.nonWhitespace(name, "handler name");
+    assert.type.function(handler, "handler");
+    this._handlers.set(name, handler);
+  }
+
+
+  /**
+   * Re-imports the specified module in all worker threads, after removing it (and its local dependencies)
+   * from the module cache. Factory functions are called again with the original data.
+   *
+   * `FileProcessor` functions that were returned by `importFileProcessor()` keep working, and use the
+   * reloaded module for any files that they haven't started processing yet. The new version is
+   * imported in every worker before any of them use it. If it fails to import in any worker, then
+   * they all keep using the previous version.
+   *
+   * @param moduleId - The module name or path, as it was originally imported
+   */
+  public async reloadModule(moduleId: string): Promise<void> {
+    this._assertNotDisposed();
+    let id = parseModuleId(moduleId, this._cwd).moduleId;
+    let messages = this._imports.filter((message) => message.moduleId === id);
+
+    if (messages.length === 0) {
+      throw ono({ moduleId }, `Cannot reload ${moduleId} because it has not been imported.`);
+    }
+
+    let workers = [...this._workers, ...this._startingWorkers];
+    let errors: Error[] = [];
+
+    // Import the new version in every worker, without using it yet
+    await Promise.all(workers.map(async(worker) => {
+      try {
+        for (let message of messages) {
+          if (message.type === "importModule") {
+            await worker.importModule({ ...message, reload: true });
+          }
+          else {
+            await worker.importFileProcessor({ ...message, reload: true });
+          }
+        }
+      }
+      catch (error) {
+        errors.push(error as Error);
+      }
+    }));
+
+    // Switch every worker to the new version at once, so all files that are processed afterward use it.
+    // If any worker couldn't import the new version, then they all keep using the old one.
+    let type: ReloadMessage["type"] = errors.length === 0 ? "commitReload" : "abortReload";
+    for (let worker of workers) {
+      worker.finishReload({ type, moduleId: id, cwd: messages[0].cwd });
+    }
+
+    if (errors.length > 0) {
+      throw errors[0];
+    }
+
+    this.emit("moduleImported", { moduleId, reload: true });
   }
 
 
   /**
-   * Terminates all worker threads.
+   * Removes a `FileProcessor` or `FilesProcessor` that was returned by `importFileProcessor()` or
+   * `importFilesProcessor()` from all worker threads, along with its module unless other processors or
+   * `importModule()` still use it. Files that are already being processed are not affected.
    */
-  public async dispose(): Promise <void> {
+  public async unloadFileProcessor(fileProcessor: FileProcessor | FilesProcessor): Promise<void> {
+    this._assertNotDisposed();
+    assert.type.function(fileProcessor, "FileProcessor");
+    let imported = this._fileProcessors.get(fileProcessor);
+
+    if (!imported) {
+      throw ono(`Cannot unload the ${fileProcessor.name || "specified"} function because it was not imported by this WorkerPool.`);
+    }
+
+    this._fileProcessors.delete(fileProcessor);
+    this._imports = this._imports.filter((msg) => msg !== imported);
+
+    let { moduleUID, moduleId, cwd } = imported;
+    let message: UnloadFileProcessorMessage = { type: "unloadFileProcessor", moduleUID, moduleId, cwd };
+    let workers = [...this._workers, ...this._startingWorkers];
+    await Promise.all(workers.map((worker) => worker.unloadFileProcessor(message)));
+  }
+
+
+  /**
+   * Terminates all worker threads. In graceful mode, the files that are already being processed
+   * are allowed to finish, and each module's `teardown` export is called first.
+   */
+  public async dispose(options?: DisposeOptions): Promise <void> {
+    let { graceful, timeout } = normalizeDisposeOptions(options);
     this._isDisposed = true;
     let workers = this._workers;
     this._workers = [];
-    await Promise.all(workers.map((worker) => worker.terminate()));
+
+    this._rejectQueue(ono("CodeEngine is terminating."));
+
+    let startingWorkers = [...this._startingWorkers];
+    this._startingWorkers.clear();
+
+    for (let timer of this._idleTimers.values()) {
+      clearTimeout(timer);
+    }
+    this._idleTimers.clear();
+
+    if (this._statsTimer) {
+      clearInterval(this._statsTimer);
+      this._statsTimer = undefined;
+    }
+
+    let retiringWorkers = [...this._retiringWorkers];
+    this._retiringWorkers.clear();
+
+    // Workers from an earlier graceful dispose are terminated right away
+    let drainingWorkers = [...this._drainingWorkers];
+    this._drainingWorkers.clear();
+
+    if (graceful) {
+      let terminating = Promise.all([...startingWorkers, ...drainingWorkers].map((worker) => worker.terminate()));
+      workers = [...workers, ...retiringWorkers];
+
+      for (let worker of workers) {
+        this._drainingWorkers.add(worker);
+      }
+
+      await Promise.all([terminating, this._drain(workers, timeout)]);
+
+      // Don't terminate any workers that were already terminated by a second call to dispose()
+      workers = workers.filter((worker) => this._drainingWorkers.delete(worker));
+      await Promise.all(workers.map((worker) => worker.terminate()));
+    }
+    else {
+      await Promise.all(
+        [...workers, ...startingWorkers, ...retiringWorkers, ...drainingWorkers].map((worker) => worker.terminate()));
+    }
+  }
+
+  /**
+   * Waits for the given workers to finish their tasks and tear down their modules,
+   * or until the timeout is exceeded.
+   * @internal
+   */
+  private async _drain(workers: Worker[], timeout: number): Promise<void> {
+    let timer: NodeJS.Timeout | undefined;
+
+    let drained = Promise.all(workers.map(async(worker) => {
+      try {
+        await worker.drain();
+        await worker.teardown();
+      }
+      catch (error) {
+        this._engine.emit(EventName.Error, error);
+      }
+    }));
+
+    let timedOut = new Promise<boolean>((resolve) => {
+      if (timeout !== Infinity) {
+        timer = setTimeout(() => resolve(true), timeout);
+      }
+    });
+
+    if (await Promise.race([drained.then(() => false), timedOut])) {
+      this._engine.log.warn(
+        `CodeEngine workers did not finish within ${timeout}ms, so they are being terminated.`, { timeout });
+    }
+
+    if (timer) {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Creates a new `Worker` and connects its events to the pool.
+   * @internal
+   */
+  private _createWorker(): Worker {
+    let worker = new Worker(this._engine.log, this._options, {
+      serializers: this._serializers,
+      errorClasses: this._errorClasses,
+      handlers: this._handlers,
+      cache: this._cache,
+    });
+    worker.on("error", (error: NodeJS.ErrnoException) => {
+      // The worker emits its own, more descriptive error when it runs out of memory
+      if (error.code !== "ERR_WORKER_OUT_OF_MEMORY") {
+        this._engine.emit(EventName.Error, error);
+      }
+    });
+
+    // Node sets the threadId to -1 once the thread exits, so keep a copy for events
+    let workerId = worker.threadId;
+
+    worker.on("online", () => this.emit("workerOnline", { workerId }));
+    worker.on("taskStart", (moduleUID: number, path: string) => this._handleTaskStart(workerId, moduleUID, path));
+    worker.on("taskFinished", (result?: TaskResult) => this._handleTaskFinished(worker, workerId, result));
+    worker.on("taskBlocked", () => this._dispatch());
+    worker.on("unresponsive", () => this._recycle(worker));
+    worker.on("exit", (exitCode: number) => {
+      this.emit("workerExit", { workerId, exitCode });
+      this._handleExit(worker);
+    });
+    return worker;
+  }
+
+  /**
+   * Sends an import message to all workers, and records it so it can be replayed in any
+   * workers that are started later.
+   * @internal
+   */
+  private async _import<T>(message: ImportFileProcessorMessage | ImportFilesProcessorMessage | ImportModuleMessage, send: (worker: Worker) => Promise<T>): Promise<T[]> {
+    this._imports.push(message);
+
+    try {
+      return await Promise.all(this._workers.map(send));
+    }
+    catch (error) {
+      // Don't replay a module that failed to import
+      this._imports = this._imports.filter((msg) => msg !== message);
+      throw error;
+    }
+  }
+
+  /**
+   * Emits the "taskStart" event when a worker starts processing a file.
+   * @internal
+   */
+  private _handleTaskStart(workerId: number, moduleUID: number, path: string) {
+    let timings = this._moduleTimings.get(moduleUID);
+    let moduleId = timings ? timings.moduleId : "";
+    this.emit("taskStart", { workerId, moduleId, path });
+  }
+
+  /**
+   * Records the task's timing, recycles the worker if it has reached its task or memory limit,
+   * and dispatches more tasks.
+   * @internal
+   */
+  private _handleTaskFinished(worker: Worker, workerId: number, result?: TaskResult) {
+    let { recycleAfterTasks, recycleHeapLimit } = this._options;
+
+    if (result) {
+      let timings = this._moduleTimings.get(result.moduleUID);
+      let moduleId = timings ? timings.moduleId : "";
+      let { path, duration, outputCount, error } = result;
+
+      if (timings) {
+        timings.add(result);
+      }
+
+      if (error) {
+        this.emit("taskError", { workerId, moduleId, path, duration, error });
+      }
+      else {
+        this.emit("taskEnd", { workerId, moduleId, path, duration, outputCount });
+      }
+    }
+
+    if (this._retiringWorkers.has(worker)) {
+      if (worker.isIdle) {
+        // The worker has finished its remaining tasks
+        this._retiringWorkers.delete(worker);
+        worker.terminate().catch((error: Error) => this._engine.emit(EventName.Error, error));
+      }
+    }
+    else if (worker.tasksProcessed >= recycleAfterTasks) {
+      this._retire(worker, `after processing ${worker.tasksProcessed} files`);
+    }
+    else if (worker.heapUsed >= recycleHeapLimit) {
+      this._retire(worker, `because its heap usage (${worker.heapUsed} bytes) exceeded ${recycleHeapLimit} bytes`);
+    }
+
+    this._dispatch();
+  }
+
+  /**
+   * Replaces a worker that crashed or exited unexpectedly.
+   * @internal
+   */
+  private _handleExit(worker: Worker) {
+    this._retiringWorkers.delete(worker);
+    this._cache.releaseAll(worker);
+
+    let index = this._workers.indexOf(worker);
+    if (index === -1) {
+      // The worker was intentionally terminated, or it's a replacement that hadn't joined the pool yet
+      return;
+    }
+
+    this._workers.splice(index, 1);
+
+    if (this._restartCount < this._options.maxRestarts) {
+      this._restartCount++;
+      this._startWorker().catch((error: Error) => this._engine.emit(EventName.Error, error));
+    }
+    else {
+      // We've given up on replacing workers, so tasks may need to be rejected
+      this._dispatch();
+    }
+  }
+
+  /**
+   * Replaces a worker that is still running but can no longer be used.
+   * @internal
+   */
+  private _recycle(worker: Worker) {
+    let index = this._workers.indexOf(worker);
+    if (index === -1) {
+      return;
+    }
+
+    this._workers.splice(index, 1);
+    this._startWorker().catch((error: Error) => this._engine.emit(EventName.Error, error));
+    worker.terminate().catch((error: Error) => this._engine.emit(EventName.Error, error));
+  }
+
+  /**
+   * Replaces a worker with a new one. The old worker finishes the tasks that it has already
+   * started, and then is terminated.
+   * @internal
+   */
+  private _retire(worker: Worker, reason: string) {
+    let index = this._workers.indexOf(worker);
+    if (index === -1) {
+      return;
+    }
+
+    this._workers.splice(index, 1);
+    this._retiringWorkers.add(worker);
+    this._engine.log.info(`Recycling CodeEngine worker #${worker.threadId} ${reason}.`, {
+      workerId: worker.threadId,
+      tasksProcessed: worker.tasksProcessed,
+      heapUsed: worker.heapUsed,
+    });
+
+    this._startWorker().catch((error: Error) => this._engine.emit(EventName.Error, error));
+    this._handleTaskFinished(worker, worker.threadId);
+  }
+
+  /**
+   * Starts a new worker, re-imports all modules, and adds it to the pool.
+   * @internal
+   */
+  private async _startWorker(): Promise<void> {
+    let worker = this._createWorker();
+    this._startingWorkers.add(worker);
+    this._engine.log.debug(`Starting CodeEngine worker #${worker.threadId}`, { workerId: worker.threadId });
+
+    try {
+      // Import the serializers first, since module data may need them
+      for (let i = 0; i < this._serializerImports.length; i++) {
+        await worker.importSerializers(this._serializerImports[i]);
+      }
+
+      // Re-import modules in the same order, and then send the latest data for each channel.
+      // Modules can be imported and data can be broadcast while we're replaying, since they're only sent
+      // to workers that are already in the pool, so keep going until this worker has caught up.
+      let imported = new Set<ImportFileProcessorMessage | ImportFilesProcessorMessage | ImportModuleMessage>();
+      let broadcasted = new Set<BroadcastMessage>();
+
+      for (;;) {
+        let importMessage = this._imports.find((message) => !imported.has(message));
+        let broadcastMessage = [...this._broadcasts.values()].find((message) => !broadcasted.has(message));
+
+        if (importMessage) {
+          imported.add(importMessage);
+
+          if (importMessage.type === "importModule") {
+            await worker.importModule(importMessage);
+          }
+          else {
+            await worker.importFileProcessor(importMessage);
+          }
+        }
+        else if (broadcastMessage) {
+          broadcasted.add(broadcastMessage);
+          await worker.broadcast(broadcastMessage).catch((error: Error) => this._engine.emit(EventName.Error, error));
+        }
+        else {
+          break;
+        }
+      }
+    }
+    catch (error) {
+      if (this._startingWorkers.delete(worker) && !this._isDisposed) {
+        this._startError = error as Error;
+
+        // Try again with another worker. Failed starts aren't crashes, so they don't count as restarts,
+        // but they have their own limit so a module that always fails to import can't keep starting workers forever.
+        if (this._startFailures < this._options.maxRestarts) {
+          this._startFailures++;
+          this._startWorker().catch((err: Error) => this._engine.emit(EventName.Error, err));
+        }
+        else {
+          // We've given up on starting workers, so tasks may need to be rejected
+          this._dispatch();
+        }
+      }
+
+      await worker.terminate();
+      throw error;
+    }
+
+    if (this._startingWorkers.delete(worker)) {
+      // The worker is ready to accept tasks
+      this._startError = undefined;
+      this._startFailures = 0;
+      this._workers.push(worker);
+      this._dispatch();
+    }
+  }
+
+  /**
+   * Waits for a worker to become available, and then processes the file on that worker thread.
+   * @internal
+   */
+  private async* _processFile(module: ImportFileProcessorMessage, file: File, run: Run): AsyncGenerator<FileInfo> {
+    if (!this._imports.includes(module)) {
+      throw ono({ moduleId: module.moduleId, path: file.path },
+        `Cannot process ${file.path} because ${module.moduleId} has been unloaded.`);
+    }
+
+    this._cache.startRun(run);
+    let affinityKey = this._options.affinity && this._options.affinity(file);
+    let output = await this._schedule((worker) => worker.processFile(module.moduleUID, file, run), affinityKey);
+    yield* output;
+  }
+
+  /**
+   * Waits for a worker to become available, and then processes all of the files on that worker thread.
+   * @internal
+   */
+  private async* _processAllFiles(module: ImportFilesProcessorMessage, files: AsyncIterable<File>, run: Run): AsyncGenerator<FileInfo> {
+    if (!this._imports.includes(module)) {
+      throw ono({ moduleId: module.moduleId }, `Cannot process files because ${module.moduleId} has been unloaded.`);
+    }
+
+    this._cache.startRun(run);
+    let output = await this._schedule((worker) => worker.processAllFiles(module.moduleUID, files, run));
+    yield* output;
+  }
+
+  /**
+   * Returns the unique ID that an exported function is tracked by in the stats and events.
+   * @internal
+   */
+  private _getExecModuleUID(name: string): number {
+    let moduleUID = this._execModules.get(name);
+
+    if (moduleUID === undefined) {
+      moduleUID = ++this._moduleCounter;
+      this._execModules.set(name, moduleUID);
+      this._moduleTimings.set(moduleUID, new ModuleTimings(name));
+    }
+
+    return moduleUID;
+  }
+
+  /**
+   * Returns an async iterable of the values from a function that returned an iterator, starting with
+   * the one that was already read. Until it's read to the end, the function keeps running on its worker,
+   * so returning early or dropping the iterable ends the worker-thread task.
+   * @internal
+   */
+  private _iterateValues(first: IteratorResult<ValueReply>, output: AsyncGenerator<ValueReply>): AsyncIterableIterator<unknown> {
+    let values = this._readValues(first, output);
+
+    let iterator: AsyncIterableIterator<unknown> = {
+      [Symbol.asyncIterator]: () => iterator,
+
+      async next() {
+        let result = await values.next();
+
+        if (result.done && abandonedExecs) {
+          abandonedExecs.unregister(iterator);
+        }
+
+        return result;
+      },
+
+      async return(value?: unknown) {
+        if (abandonedExecs) {
+          abandonedExecs.unregister(iterator);
+        }
+
+        await output.return(undefined);
+        return values.return(value);
+      },
+    };
+
+    if (abandonedExecs) {
+      abandonedExecs.register(iterator, output, iterator);
+    }
+
+    return iterator;
+  }
+
+  /**
+   * Yields the decoded values of an `exec()` task's output.
+   * @internal
+   */
+  private async* _readValues(first: IteratorResult<ValueReply>, output: AsyncGenerator<ValueReply>): AsyncGenerator<unknown> {
+    if (first.done) {
+      return;
+    }
+
+    yield this._serializers.decode(first.value.value);
+
+    for await (let reply of output) {
+      yield this._serializers.decode(reply.value);
+    }
+  }
+
+  /**
+   * Adds a task to the queue, and returns a promise that resolves once the task has been
+   * started on a worker.
+   * @internal
+   */
+  private async _schedule<T>(start: (worker: Worker) => T, affinityKey?: string): Promise<T> {
+    this._assertNotDisposed();
+
+    let promise = new Promise<T>((resolve, reject) => {
+      this._queue.push({
+        affinityKey,
+        start: (worker) => resolve(start(worker)),
+        reject,
+      });
+    });
+
+    this._dispatch();
+    return promise;
+  }
+
+  /**
+   * Rejects all tasks that are waiting in the queue.
+   * @internal
+   */
+  private _rejectQueue(error: Error) {
+    let queue = this._queue;
+    this._queue = [];
+
+    for (let task of queue) {
+      task.reject(error);
+    }
+  }
+
+  /**
+   * Starts as many queued tasks as the workers have capacity for.
+   * @internal
+   */
+  private _dispatch() {
+    if (this._workers.length === 0 && this._startingWorkers.size === 0 && !this._isDisposed) {
+      // There are no workers left to perform the tasks
+      this._rejectQueue(this._startError
+        ? ono(this._startError,
+          `A CodeEngine worker could not be started, and the maximum number of retries (${this._options.maxRestarts}) ` +
+          "has been reached.")
+        : ono(
+          `All CodeEngine workers have exited, and the maximum number of restarts (${this._options.maxRestarts}) ` +
+          "has been reached."
+        ));
+    }
+
+    while (this._queue.length > 0) {
+      let task = this._queue[0];
+      let worker = task.affinityKey === undefined ? this._select() : this._selectByAffinity(task.affinityKey);
+
+      if (!worker) {
+        // All workers are at capacity
+        break;
+      }
+
+      this._queue.shift();
+      task.start(worker);
+    }
+
+    this._resize();
+  }
+
+  /**
+   * Starts more workers if tasks are waiting, and stops workers that have been idle too long.
+   * @internal
+   */
+  private _resize() {
+    if (this._isDisposed) {
+      return;
+    }
+
+    // Start enough workers to handle the queued tasks, up to the maximum
+    let workerCount = this._workers.length + this._startingWorkers.size;
+    let startingCapacity = this._startingWorkers.size * this._options.maxTasksPerWorker;
+    let needed = Math.ceil((this._queue.length - startingCapacity) / this._options.maxTasksPerWorker);
+    let count = Math.min(needed, this._options.maxWorkers - workerCount);
+
+    if (this._startError && this._startFailures >= this._options.maxRestarts) {
+      // Workers are failing to start, and we've given up on restarting them
+      count = 0;
+    }
+
+    for (let i = 0; i < count; i++) {
+      this._startWorker().catch((error: Error) => this._engine.emit(EventName.Error, error));
+    }
+
+    // Start or stop the idle timers
+    for (let worker of this._workers) {
+      let timer = this._idleTimers.get(worker);
+
+      if (!worker.isIdle && timer) {
+        clearTimeout(timer);
+        this._idleTimers.delete(worker);
+      }
+      else if (worker.isIdle && !timer && this._options.idleTimeout !== Infinity) {
+        this._idleTimers.set(worker, setTimeout(() => this._stopIdleWorker(worker), this._options.idleTimeout));
+      }
+    }
+  }
+
+  /**
+   * Stops a worker that has been idle for longer than the `idleTimeout`,
+   * as long as there are more than the minimum number of workers.
+   * @internal
+   */
+  private _stopIdleWorker(worker: Worker) {
+    this._idleTimers.delete(worker);
+
+    let index = this._workers.indexOf(worker);
+    if (index === -1 || !worker.isIdle || this._workers.length <= this._options.minWorkers) {
+      return;
+    }
+
+    this._workers.splice(index, 1);
+    this._engine.log.debug(`Stopping idle CodeEngine worker #${worker.threadId}`, { workerId: worker.threadId });
+    worker.terminate().catch((error: Error) => this._engine.emit(EventName.Error, error));
+  }
+
+  /**
+   * Selects the least-busy `Worker` that has capacity for another task.
+   * Ties are broken by the number of bytes the workers are already processing.
+   * @internal
+   */
+  private _select(): Worker | undefined {
+    let selected: Worker | undefined;
+    let selectedLoad: WorkerLoad | undefined;
+
+    for (let worker of this._workers) {
+      if (!this._hasCapacity(worker)) {
+        continue;
+      }
+
+      let load = worker.load;
+
+      let isLessBusy = !selectedLoad || load.tasks < selectedLoad.tasks ||
+        (load.tasks === selectedLoad.tasks && load.bytes < selectedLoad.bytes);
+
+      if (isLessBusy) {
+        selected = worker;
+        selectedLoad = load;
+      }
+    }
+
+    return selected;
+  }
+
+  /**
+   * Selects the `Worker` that the given key maps to, or the next-best worker if that one
+   * is at capacity.
+   *
+   * This uses rendezvous hashing, so a key keeps mapping to the same worker even as other
+   * workers are added or removed.
+   * @internal
+   */
+  private _selectByAffinity(key: string): Worker | undefined {
+    let selected: Worker | undefined;
+    let selectedScore = -1;
+
+    for (let worker of this._workers) {
+      let score = hash(`${worker.threadId}:${key}`);
+
+      if (score > selectedScore && this._hasCapacity(worker)) {
+        selected = worker;
+        selectedScore = score;
+      }
+    }
+
+    return selected;
   }
 
   /**
-   * Selects a `Worker` from the pool to perform a task.
+   * Determines whether the given `Worker` can accept another task. When files are batched, a worker
+   * only starts a new batch once it has room for all of it. Otherwise, each file that finishes would
+   * free up room for just one more file, which would be sent by itself.
    * @internal
    */
-  private _select(): Worker {
-    // For now, we just use a simple round-robin strategy,
-    // but we may employ a more advanced selection strategy later
-    return this._workers[this._roundRobinCounter++ % this._workers.length];
+  private _hasCapacity(worker: Worker): boolean {
+    let { maxTasksPerWorker, batchSize } = this._options;
+    let { tasks, unsent } = worker.load;
+    let room = unsent % batchSize === 0 ? batchSize : 1;
+    return !worker.isTerminated && tasks + room <= maxTasksPerWorker;
   }
 
 
@@ -133,3 +1117,24 @@ export class WorkerPool {
     }
   }
 }
+
+
+/**
+ * A task that is waiting for a worker to become available.
+ */
+interface QueuedTask {
+  /**
+   * Determines which worker the task is sent to, if the `affinity` option is enabled.
+   */
+  affinityKey?: string;
+
+  /**
+   * Starts the task on the given worker.
+   */
+  start(worker: Worker): void;
+
+  /**
+   * Cancels the task before it has started.
+   */
+  reject(reason: Error): void;
+}
@@ -1,45 +1,177 @@
-import { EventName, File, FileInfo, Logger, Run } from "@code-engine/types";
+import { Cloneable, EventName, File, FileInfo, Logger, Run } from "@code-engine/types";
 import { log } from "@code-engine/utils";
 import { ono } from "@jsdevtools/ono";
 import * as path from "path";
-import { createError } from "../clone/error";
-import { cloneFile } from "../clone/file";
+import { createInterface } from "readline";
+import { Readable } from "stream";
+import { cloneError, createError, ErrorClasses } from "../clone/error";
+import { cloneFile, FileClone, restoreFile } from "../clone/file";
 import { cloneRun } from "../clone/run";
-import { ImportFileProcessorMessage, ImportModuleMessage } from "../messaging/messages";
-import { ImportFileProcessorReply } from "../messaging/replies";
+import { Serializers } from "../clone/serializers";
+import { BroadcastMessage, ExecMessage, ExecutorOptions, ImportFileProcessorMessage, ImportFilesProcessorMessage, ImportModuleMessage, ImportSerializersMessage, ReloadMessage, TeardownMessage, UnloadFileProcessorMessage } from "../messaging/messages";
+import { ChunkReply, ImportFileProcessorReply, LogReply, OutputFileReply, Reply, ValueReply } from "../messaging/replies";
+import { CallRequest, isRequest, Request } from "../messaging/requests";
 import { awaitOnline } from "./await-online";
+import { CacheStore } from "./cache-store";
+import { MainThreadHandlers } from "./handlers";
 import { Messenger } from "./messenger";
+import { LogAttribution, NormalizedOptions } from "./options";
+import { TaskResult, WorkerStats } from "./stats";
 
 const workerScript = path.join(__dirname, "../worker-thread/index.js");
 
+/**
+ * How long (in milliseconds) to wait for the `Executor` to acknowledge a cancellation
+ * before the worker thread is considered unresponsive.
+ */
+const cancelTimeout = 1000;
+
+/**
+ * The path of tasks that aren't for a single file, such as processing all files or calling a function.
+ */
+const anyPath = "*";
+
+/**
+ * The state that a `WorkerPool` shares with all of its workers.
+ * @internal
+ */
+export interface SharedState {
+  serializers: Serializers;
+  errorClasses: ErrorClasses;
+  handlers: MainThreadHandlers;
+  cache: CacheStore;
+}
+
 /**
  * Controls an `Executor` instance running on a worker thread.
  * @internal
  */
 export class Worker extends Messenger {
   private _logger: Logger;
+  private _options: NormalizedOptions;
+  private _serializers: Serializers;
+  private _handlers: MainThreadHandlers;
+  private _cache: CacheStore;
   private _isTerminated: boolean;
   private _waitUntilOnline: Promise<void>;
+  private readonly _tasks = new Set<Task>();
+  private readonly _moduleIds = new Map<number, string>();
+  private _tasksCompleted = 0;
+  private _tasksFailed = 0;
+  private _heapUsed = 0;
+  private _bytesSent = 0;
+  private _bytesReceived = 0;
+  private readonly _startedAt = Date.now();
+  private _busySince?: number;
+  private _busyTime = 0;
+  private _outOfMemory = false;
+  private _batch?: Batch;
 
-  public constructor(logger: Logger) {
-    super(workerScript);
+  public constructor(logger: Logger, options: NormalizedOptions, shared: SharedState) {
+    super(workerScript, shared.errorClasses, { ...options.workerOptions, workerData: getExecutorOptions(options) });
 
     this._logger = logger;
+    this._options = options;
+    this._serializers = shared.serializers;
+    this._handlers = shared.handlers;
+    this._cache = shared.cache;
     this._isTerminated = false;
     this._waitUntilOnline = awaitOnline(this);
 
     this.on("online", this._handleOnline);
+    this.on("error", this._handleError);
     this.on("exit", this._handleExit);
+    this.on("message", this._handleReply);
+
+    // Node doesn't pipe the worker's output to the process when these options are set,
+    // so log it instead, rather than letting it pile up unread
+    if (options.workerOptions.stdout) {
+      this._forwardOutput(this.stdout, (line) => this._logger.info(line, { workerId: this.threadId }));
+    }
+    if (options.workerOptions.stderr) {
+      this._forwardOutput(this.stderr, (line) => this._logger.warn(line, { workerId: this.threadId }));
+    }
+  }
+
+  /**
+   * Indicates whether the worker thread has been terminated or has exited.
+   */
+  public get isTerminated(): boolean {
+    return this._isTerminated;
+  }
+
+  /**
+   * The number of files and bytes that are currently being processed by this worker.
+   * Tasks that process all files aren't included, since they're mostly waiting for their input files,
+   * which are often produced by other tasks on the same worker. Likewise, tasks that are waiting for
+   * their output to be read aren't included, since their output may go through other tasks first.
+   */
+  public get load(): WorkerLoad {
+    let tasks = 0, bytes = 0, unsent = 0;
+    for (let task of this._tasks) {
+      if (!task.input && !(task.credits !== undefined && task.credits <= 0)) {
+        tasks++;
+        bytes += task.bytes;
+
+        if (task.messageId === undefined && task.path !== anyPath) {
+          unsent++;
+        }
+      }
+    }
+    return { tasks, bytes, unsent };
+  }
+
+  /**
+   * Indicates whether this worker has no tasks at all, including tasks that process all files.
+   */
+  public get isIdle(): boolean {
+    return this._tasks.size === 0;
+  }
+
+  /**
+   * The number of files that this worker has finished processing, successfully or not.
+   */
+  public get tasksProcessed(): number {
+    return this._tasksCompleted + this._tasksFailed;
+  }
+
+  /**
+   * The worker thread's heap usage (in bytes), as of the last file that it processed.
+   */
+  public get heapUsed(): number {
+    return this._heapUsed;
   }
 
   /**
-   * Imports the specified `FileProcessor` module in the worker thread.
+   * Returns a snapshot of this worker's statistics.
    */
-  public async importFileProcessor(module: ImportFileProcessorMessage): Promise<string> {
+  public get stats(): WorkerStats {
+    let now = Date.now();
+    let busyTime = this._busyTime + (this._busySince === undefined ? 0 : now - this._busySince);
+
+    return {
+      workerId: this.threadId,
+      tasksInFlight: this._tasks.size,
+      tasksCompleted: this._tasksCompleted,
+      tasksFailed: this._tasksFailed,
+      busyTime,
+      idleTime: now - this._startedAt - busyTime,
+      bytesSent: this._bytesSent,
+      bytesReceived: this._bytesReceived,
+      heapUsed: this._heapUsed,
+    };
+  }
+
+  /**
+   * Imports the specified `FileProcessor` or `FilesProcessor` module in the worker thread.
+   */
+  public async importFileProcessor(module: ImportFileProcessorMessage | ImportFilesProcessorMessage): Promise<string> {
     await this._waitUntilOnline;
-    this._debug(`CodeEngine worker #${this.threadId} is loading ${module.moduleId}`, { moduleId: module.moduleId });
+    let action = module.reload ? "reloading" : "loading";
+    this._debug(`CodeEngine worker #${this.threadId} is ${action} ${module.moduleId}`, { moduleId: module.moduleId });
 
-    let reply = await this.postMessageAsync(module) as ImportFileProcessorReply;
+    let reply = await this._import(module) as ImportFileProcessorReply;
+    this._moduleIds.set(module.moduleUID, module.moduleId);
     return reply.name;
   }
 
@@ -48,39 +180,487 @@ export class Worker extends Messenger {
    */
   public async importModule(module: ImportModuleMessage): Promise<void> {
     await this._waitUntilOnline;
-    this._debug(`CodeEngine worker #${this.threadId} is importing ${module.moduleId}`, { moduleId: module.moduleId });
+    let action = module.reload ? "reimporting" : "importing";
+    this._debug(`CodeEngine worker #${this.threadId} is ${action} ${module.moduleId}`, { moduleId: module.moduleId });
+    await this._import(module);
+  }
+
+  /**
+   * Imports the specified serializers module in the worker thread.
+   */
+  public async importSerializers(module: ImportSerializersMessage): Promise<void> {
+    await this._waitUntilOnline;
+    this._debug(`CodeEngine worker #${this.threadId} is importing serializers from ${module.moduleId}`,
+      { moduleId: module.moduleId });
+    await this._import(module);
+  }
+
+  /**
+   * Removes the specified `FileProcessor` module from the worker thread.
+   */
+  public async unloadFileProcessor(module: UnloadFileProcessorMessage): Promise<void> {
+    await this._waitUntilOnline;
+    this._debug(`CodeEngine worker #${this.threadId} is unloading ${module.moduleId}`, { moduleId: module.moduleId });
     await this.postMessageAsync(module);
   }
 
   /**
-   * Processes the given files in the worker thread.
+   * Tells the worker thread to start using the new version of a module that it has reloaded,
+   * or to discard it. The message is sent right away, so tasks that are sent afterward use
+   * the same version in every worker.
+   */
+  public finishReload(message: ReloadMessage): void {
+    let action = message.type === "commitReload" ? "committing" : "aborting";
+    this._debug(`CodeEngine worker #${this.threadId} is ${action} the reload of ${message.moduleId}`,
+      { moduleId: message.moduleId });
+    this.notify(message);
+  }
+
+  /**
+   * Processes the given file in the worker thread.
+   */
+  public processFile(moduleUID: number, file: File, run: Run): AsyncGenerator<FileInfo> {
+    let task: Task = { bytes: file.contents.byteLength, moduleUID, path: file.path, outputCount: 0 };
+    this._addTask(task);
+
+    let send = this._options.batchSize > 1
+      ? async() => this._addToBatch(task, file, run)
+      : async() => this._send(task, file, run);
+
+    return this._readFiles(this._run(task, send, run.log), file);
+  }
+
+  /**
+   * Processes all of the given files at once in the worker thread. The files are read as the
+   * `Executor` requests them.
+   */
+  public processAllFiles(moduleUID: number, files: AsyncIterable<File>, run: Run): AsyncGenerator<FileInfo> {
+    let task: Task = { bytes: 0, moduleUID, path: anyPath, outputCount: 0, input: files[Symbol.asyncIterator]() };
+    this._addTask(task);
+    return this._readFiles(this._run(task, async() => this._sendAll(task, run), run.log));
+  }
+
+  /**
+   * Calls a function that is exported by a module in the worker thread, and yields its return value
+   * or each value that it yields.
+   */
+  public exec(moduleUID: number, message: ExecMessage, logger: Logger): AsyncGenerator<ValueReply> {
+    let task: Task = { bytes: 0, moduleUID, path: anyPath, outputCount: 0 };
+    this._moduleIds.set(moduleUID, `${message.moduleId}#${message.exportName}`);
+    this._addTask(task);
+    return this._run(task, async() => this._sendExec(task, message), logger) as AsyncGenerator<ValueReply>;
+  }
+
+  /**
+   * Counts the task toward this worker's load right away, even though the thread may not be online yet.
+   */
+  private _addTask(task: Task) {
+    this._tasks.add(task);
+
+    if (this._busySince === undefined) {
+      this._busySince = Date.now();
+    }
+  }
+
+  /**
+   * Sends the task to the worker thread and yields its output. Log messages are logged as they arrive.
+   *
+   * @param send - Sends the task's message, and resolves with its ID
+   */
+  private async* _run(task: Task, send: () => Promise<number>, logger: Logger): AsyncGenerator<OutputFileReply | ValueReply> {
+    try {
+      let messageId = await send();
+      let streamed: StreamedOutput | undefined;
+
+      for await (let reply of this.awaitReplies(messageId)) {
+        switch (reply.type) {
+          case "log":
+            this._log(logger, task, reply);
+            break;
+
+          case "file":
+            if (reply.file.contentsStreamed) {
+              // The contents are too large to send in one message, so request them in chunks
+              streamed = { reply, contents: Buffer.allocUnsafe(reply.file.contentsSize!), offset: 0 };
+              this.notify({ type: "read", messageId });
+            }
+            else {
+              yield* this._yieldOutput(task, messageId, reply);
+            }
+            break;
+
+          case "chunk":
+            if (streamed) {
+              let output = this._receiveChunk(messageId, streamed, reply);
+
+              if (output) {
+                streamed = undefined;
+                yield* this._yieldOutput(task, messageId, output);
+              }
+            }
+            break;
+
+          case "value":
+            yield* this._yieldOutput(task, messageId, reply);
+            break;
+        }
+      }
+    }
+    finally {
+      if (task.messageId === undefined) {
+        // The message was never sent. Otherwise, the task is finished once the `Executor` says so.
+        this._finishTask(task);
+      }
+      else {
+        let error = ono({ workerId: this.threadId, path: task.path }, "The output files were not read.");
+
+        if (this.rejectPendingMessage(task.messageId, error)) {
+          // The output was abandoned before the `Executor` finished, so tell it to stop
+          task.error = error;
+          this._cancel(task.messageId).catch((err: Error) => this.emit(EventName.Error, err));
+        }
+      }
+    }
+  }
+
+  /**
+   * Yields a task's output, and then lets the `Executor` send more.
    */
-  public async* processFile(moduleUID: number, file: File, run: Run): AsyncGenerator<FileInfo> {
+  private* _yieldOutput(task: Task, messageId: number, reply: OutputFileReply | ValueReply): Generator<OutputFileReply | ValueReply> {
+    yield reply;
+
+    // The output has been read, so the `Executor` can send more
+    this.notify({ type: "credit", messageId, credits: 1 });
+    this._returnCredit(task);
+  }
+
+  /**
+   * Adds the next chunk of an output file's contents. Once all of the contents have been received,
+   * this returns the complete output file. Otherwise, it requests the next chunk.
+   */
+  private _receiveChunk(messageId: number, streamed: StreamedOutput, reply: ChunkReply): OutputFileReply | undefined {
+    let { chunk } = reply;
+    streamed.contents.set(chunk, streamed.offset);
+    streamed.offset += chunk.byteLength;
+
+    if (streamed.offset < streamed.contents.byteLength) {
+      this.notify({ type: "read", messageId });
+      return undefined;
+    }
+
+    let { contentsStreamed, contentsSize, ...file } = streamed.reply.file;
+    return { ...streamed.reply, file: { ...file, contents: streamed.contents }};
+  }
+
+  /**
+   * Logs a message from the worker thread, with the worker, module, and file that it came from.
+   * These are added to the log data without overwriting any of the plugin's own properties.
+   */
+  private _log(logger: Logger, task: Task, reply: LogReply): void {
+    let attribution: LogAttribution = { workerId: this.threadId, moduleId: this._moduleIds.get(task.moduleUID) || "" };
+    if (task.path !== anyPath) {
+      attribution.path = task.path;
+    }
+
+    let data: object;
+    if (reply.data === undefined || reply.data === null || Object.getPrototypeOf(reply.data) === Object.prototype) {
+      data = { ...attribution, ...reply.data };
+    }
+    else {
+      // Other data types, such as arrays and dates, would lose their meaning if they were merged
+      data = { ...attribution, data: reply.data };
+    }
+
+    let message: string | Error;
+    if (typeof reply.message === "string") {
+      let { logPrefix } = this._options;
+      message = logPrefix ? logPrefix(attribution) + reply.message : reply.message;
+    }
+    else {
+      let error = createError(reply.message, this._errorClasses);
+      message = error instanceof Error ? error : String(error);
+    }
+
+    log(logger, reply.level, message, data);
+  }
+
+  /**
+   * Restores the output files from a task's output.
+   *
+   * @param file - The input file, if the task processes a single file
+   */
+  private async* _readFiles(output: AsyncGenerator<OutputFileReply | ValueReply>, file?: File): AsyncGenerator<FileInfo> {
+    for await (let reply of output) {
+      if (reply.type === "file") {
+        let outFile = restoreFile(reply.file, this._serializers);
+        yield file && outFile.contentsUnchanged ? restoreStreamedFile(outFile, file) : outFile;
+      }
+    }
+  }
+
+  /**
+   * Waits for the files that this worker is processing to finish.
+   */
+  public async drain(): Promise<void> {
+    while (this._tasks.size > 0) {
+      await new Promise((resolve) => this.once("taskFinished", resolve));
+    }
+  }
+
+  /**
+   * Calls the `teardown` export of every module in the worker thread.
+   */
+  public async teardown(): Promise<void> {
+    if (this._isTerminated) {
+      return;
+    }
+
+    await this._waitUntilOnline;
+    this._debug(`CodeEngine worker #${this.threadId} is tearing down`);
+    let message: TeardownMessage = { type: "teardown" };
+    await this.postMessageAsync(message);
+  }
+
+  /**
+   * Delivers data to every module in the worker thread that subscribes to the channel.
+   */
+  public async broadcast(message: BroadcastMessage): Promise<void> {
+    await this._waitUntilOnline;
+    this._debug(`CodeEngine worker #${this.threadId} is handling the "${message.channel}" broadcast`,
+      { channel: message.channel });
+    await this.postMessageAsync(message);
+  }
+
+  /**
+   * Returns a cloneable copy of the given file, according to the pool's options.
+   */
+  private _cloneFile(file: File) {
+    let { contentTransfer: transfer, streamThreshold } = this._options;
+    return cloneFile(file, { transfer, streamThreshold, serializers: this._serializers });
+  }
+
+  /**
+   * Sends a single file to the worker thread.
+   */
+  private async _send(task: Task, file: File, run: Run): Promise<number> {
     await this._waitUntilOnline;
     this._debug(`CodeEngine worker #${this.threadId} is processing ${file}`, { path: file.path });
 
-    let [fileClone, transferList] = cloneFile(file);
-    let runClone = cloneRun(run);
+    let [fileClone, transferList] = this._cloneFile(file);
+    let runClone = cloneRun(run, this._serializers);
 
-    let replies = this.postMessageWithReplies(
-      { type: "processFile", moduleUID, file: fileClone, run: runClone },
+    let credits = this._options.outputBufferSize;
+    let messageId = this.postMessage(
+      { type: "processFile", moduleUID: task.moduleUID, file: fileClone, run: runClone, credits },
       transferList
     );
 
-    for await (let reply of replies) {
-      switch (reply.type) {
-        case "log":
-          let message = typeof reply.message === "string" ? reply.message : createError(reply.message);
-          log(run.log, reply.level, message, reply.data);
-          break;
+    this._startTask(task, messageId, fileClone.contentsStreamed && file.contents);
+    return messageId;
+  }
 
-        case "file":
-          yield reply.file;
-          break;
+  /**
+   * Sends a message to the worker thread to process all files. The input files are sent later.
+   */
+  private async _sendAll(task: Task, run: Run): Promise<number> {
+    await this._waitUntilOnline;
+    let moduleId = this._moduleIds.get(task.moduleUID);
+    this._debug(`CodeEngine worker #${this.threadId} is processing all files with ${moduleId}`, { moduleId });
+
+    let runClone = cloneRun(run, this._serializers);
+    let credits = this._options.outputBufferSize;
+    let messageId = this.postMessage({ type: "processAllFiles", moduleUID: task.moduleUID, run: runClone, credits });
+
+    this._startTask(task, messageId);
+    return messageId;
+  }
+
+  /**
+   * Sends a message to the worker thread to call an exported function.
+   */
+  private async _sendExec(task: Task, message: ExecMessage): Promise<number> {
+    await this._waitUntilOnline;
+    let { moduleId, exportName } = message;
+    this._debug(`CodeEngine worker #${this.threadId} is calling ${exportName} in ${moduleId}`, { moduleId, exportName });
+
+    let messageId = this.postMessage(message);
+    this._startTask(task, messageId);
+    return messageId;
+  }
+
+  /**
+   * Adds a file to the current batch, and resolves with the file's message ID once the batch is sent.
+   */
+  private async _addToBatch(task: Task, file: File, run: Run): Promise<number> {
+    if (this._batch && this._batch.run !== run) {
+      // A batch can only contain files from the same run
+      this._sendBatch();
+    }
+
+    let batch = this._batch || (this._batch = { run, files: [], bytes: 0 });
+    let promise = new Promise<number>((resolve, reject) => batch.files.push({ task, file, resolve, reject }));
+    batch.bytes += task.bytes;
+
+    if (batch.files.length >= this._options.batchSize || batch.bytes >= this._options.batchBytes) {
+      this._sendBatch();
+    }
+    else if (!batch.timer) {
+      batch.timer = setTimeout(() => this._sendBatch(), this._options.batchLatency);
+    }
+
+    return promise;
+  }
+
+  /**
+   * Sends the current batch of files to the worker thread in a single `processFiles` message.
+   */
+  private _sendBatch() {
+    let batch = this._batch;
+    this._batch = undefined;
+
+    if (!batch) {
+      return;
+    }
+
+    if (batch.timer) {
+      clearTimeout(batch.timer);
+    }
+
+    let { run, files } = batch;
+
+    this._waitUntilOnline
+      .then(() => {
+        if (this._isTerminated) {
+          throw ono({ workerId: this.threadId }, "CodeEngine is terminating.");
+        }
+
+        this._debug(`CodeEngine worker #${this.threadId} is processing ${files.length} files`,
+          { paths: files.map(({ file }) => file.path) });
+
+        let transferList: ArrayBuffer[] = [];
+        let batchedFiles = files.map(({ task, file }) => {
+          let [fileClone, transfers] = this._cloneFile(file);
+          transferList.push(...transfers || []);
+          return { id: this.createMessageId(), moduleUID: task.moduleUID, file: fileClone };
+        });
+
+        try {
+          let credits = this._options.outputBufferSize;
+          let runClone = cloneRun(run, this._serializers);
+          this.notify({ type: "processFiles", files: batchedFiles, run: runClone, credits }, transferList);
+        }
+        catch (error) {
+          for (let { id } of batchedFiles) {
+            this.rejectPendingMessage(id, error);
+          }
+          throw error;
+        }
+
+        for (let [index, { task, file, resolve }] of files.entries()) {
+          let { id, file: fileClone } = batchedFiles[index];
+          this._startTask(task, id, fileClone.contentsStreamed && file.contents);
+          resolve(id);
+        }
+      })
+      .catch((error: Error) => {
+        for (let { reject } of files) {
+          reject(error);
+        }
+      });
+  }
+
+  /**
+   * Rejects the files that are waiting to be sent in the current batch.
+   */
+  private _rejectBatch(error: Error) {
+    let batch = this._batch;
+    this._batch = undefined;
+
+    if (batch) {
+      if (batch.timer) {
+        clearTimeout(batch.timer);
+      }
+
+      for (let { reject } of batch.files) {
+        reject(error);
       }
     }
   }
 
+  /**
+   * Records that a file has been sent to the `Executor`, and starts its timeout.
+   * If the file's contents are streamed, then they're sent as the `Executor` requests them.
+   */
+  private _startTask(task: Task, messageId: number, streamedContents?: Buffer | false) {
+    let { moduleUID, path: filePath } = task;
+    task.messageId = messageId;
+    task.sentAt = Date.now();
+    this.emit("taskStart", moduleUID, filePath);
+
+    if (streamedContents) {
+      task.stream = { contents: streamedContents, offset: 0 };
+    }
+    else {
+      this._bytesSent += task.bytes;
+    }
+
+    // Only single files are timed out. Other tasks may depend on other plugins, or do much more work.
+    task.credits = this._options.outputBufferSize;
+    task.timeLeft = task.path === anyPath ? Infinity : this._options.processFileTimeout;
+    this._resumeTimer(task);
+  }
+
+  /**
+   * Counts an output from the `Executor` against the task's credits as soon as it arrives. Once they're
+   * all used, the `Executor` is waiting for the output to be read, so that time doesn't count toward the timeout.
+   */
+  private _useCredit(task: Task) {
+    task.credits = (task.credits || 0) - 1;
+
+    if (task.credits <= 0 && task.timer && task.timerStartedAt !== undefined) {
+      clearTimeout(task.timer);
+      task.timer = undefined;
+      task.timeLeft = (task.timeLeft || 0) - (Date.now() - task.timerStartedAt);
+    }
+
+    if (task.credits === 0) {
+      // The task no longer counts toward this worker's load, so the worker can take another task
+      this.emit("taskBlocked");
+    }
+  }
+
+  /**
+   * Gives a credit back to the task once its output has been read, which resumes its timeout.
+   */
+  private _returnCredit(task: Task) {
+    task.credits = (task.credits || 0) + 1;
+
+    if (!task.timer && this._tasks.has(task)) {
+      this._resumeTimer(task);
+    }
+  }
+
+  /**
+   * Starts or resumes the timer that enforces the `processFileTimeout` option, with however much time
+   * the task has left.
+   */
+  private _resumeTimer(task: Task) {
+    let { messageId, moduleUID, path: filePath, timeLeft } = task;
+
+    if (messageId === undefined || timeLeft === undefined) {
+      return;
+    }
+
+    task.timerStartedAt = Date.now();
+    task.timer = this._startTimer(messageId, Math.max(timeLeft, 0), () => {
+      let timeout = this._options.processFileTimeout;
+      let moduleId = this._moduleIds.get(moduleUID);
+      task.error = ono({ workerId: this.threadId, moduleId, path: filePath },
+        `CodeEngine worker #${this.threadId} timed out after ${timeout}ms while processing ${filePath} with ${moduleId}.`);
+      return task.error;
+    });
+  }
+
   /**
    * Terminates the worker thread and cancels all pending operations.
    */
@@ -94,6 +674,84 @@ export class Worker extends Messenger {
     return exitCode;
   }
 
+  /**
+   * Sends an import message, and rejects if the `Executor` doesn't reply within the import timeout.
+   */
+  private async _import(module: ImportFileProcessorMessage | ImportFilesProcessorMessage | ImportModuleMessage | ImportSerializersMessage): Promise<Reply> {
+    let messageId = this.postMessage(module);
+
+    let timeout = this._options.importTimeout;
+    let timer = this._startTimer(messageId, timeout, () => ono({ workerId: this.threadId, moduleId: module.moduleId },
+      `CodeEngine worker #${this.threadId} timed out after ${timeout}ms while importing ${module.moduleId}.`));
+
+    try {
+      return await this.awaitReply(messageId);
+    }
+    finally {
+      if (timer) {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  /**
+   * Starts a timer that rejects the specified message and cancels it in the `Executor`
+   * if the message doesn't finish in time.
+   */
+  private _startTimer(messageId: number, timeout: number, createTimeoutError: () => Error): NodeJS.Timeout | undefined {
+    if (timeout === Infinity) {
+      return undefined;
+    }
+
+    return setTimeout(() => {
+      if (this.rejectPendingMessage(messageId, createTimeoutError())) {
+        this._cancel(messageId).catch((error: Error) => this.emit(EventName.Error, error));
+      }
+    }, timeout);
+  }
+
+  /**
+   * Tells the `Executor` to stop working on the specified message. If the `Executor` doesn't
+   * respond in time, then the worker thread is considered unresponsive.
+   */
+  private async _cancel(messageId: number): Promise<void> {
+    if (this._isTerminated) {
+      return;
+    }
+
+    let timer: NodeJS.Timeout | undefined;
+
+    try {
+      let cancelId = this.postMessage({ type: "cancel", messageId });
+
+      timer = setTimeout(() => {
+        let error = ono({ workerId: this.threadId },
+          `CodeEngine worker #${this.threadId} is unresponsive and will be terminated.`);
+
+        this.rejectAllPendingMessages(error);
+        this.emit("unresponsive");
+      }, cancelTimeout);
+
+      await this.awaitReply(cancelId);
+    }
+    catch (error) {
+      // The worker exited or was unresponsive, so there's nothing left to cancel
+    }
+    finally {
+      if (timer) {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  /**
+   * Reads the worker thread's `stdout` or `stderr` stream as it's written, and passes each line to the given function.
+   */
+  private _forwardOutput(stream: Readable, writeLine: (line: string) => void) {
+    let lines = createInterface({ input: stream, crlfDelay: Infinity });
+    lines.on("line", writeLine);
+  }
+
   /**
    * Logs a debug message when the worker thread comes online.
    */
@@ -101,6 +759,15 @@ export class Worker extends Messenger {
     this._debug(`CodeEngine worker #${this.threadId} is online`);
   }
 
+  /**
+   * Detects when the worker thread crashes because it reached its `resourceLimits`.
+   */
+  private _handleError(error: NodeJS.ErrnoException) {
+    if (error.code === "ERR_WORKER_OUT_OF_MEMORY") {
+      this._outOfMemory = true;
+    }
+  }
+
   /**
    * Handles the worker thread exiting, either because we told it to terminate, or because it crashed.
    */
@@ -111,6 +778,12 @@ export class Worker extends Messenger {
       // The worker was intentionally terminated
       error = ono({ workerId: this.threadId }, "CodeEngine is terminating.");
     }
+    else if (this._outOfMemory) {
+      // The worker reached its memory limit, so report what it was doing at the time
+      this._isTerminated = true;
+      error = this._createOutOfMemoryError();
+      this.emit(EventName.Error, error);
+    }
     else {
       // The worker crashed or exited unexpectedly
       this._isTerminated = true;
@@ -119,9 +792,198 @@ export class Worker extends Messenger {
     }
 
     this.rejectAllPendingMessages(error);
+    this._rejectBatch(error);
+
+    for (let task of this._tasks) {
+      this._finishTask(task, error);
+    }
+
     this._debug(`CodeEngine worker #${this.threadId} has terminated`, { exitCode });
   }
 
+  /**
+   * Creates an error that identifies the files and modules that were running when the worker thread
+   * ran out of memory.
+   */
+  private _createOutOfMemoryError(): Error {
+    let workerId = this.threadId;
+    let tasks = [...this._tasks].filter((task) => task.messageId !== undefined);
+    let limits = JSON.stringify(this._options.workerOptions.resourceLimits || {});
+
+    if (tasks.length === 0) {
+      return ono({ workerId },
+        `CodeEngine worker #${workerId} ran out of memory. Its resource limits are ${limits}.`);
+    }
+
+    let paths = tasks.map((task) => task.path);
+    let moduleIds = [...new Set(tasks.map((task) => this._moduleIds.get(task.moduleUID)))];
+
+    return ono({ workerId, moduleId: moduleIds[0], path: paths[0] },
+      `CodeEngine worker #${workerId} ran out of memory while processing ${paths.join(", ")} ` +
+      `with ${moduleIds.join(", ")}. Its resource limits are ${limits}.`);
+  }
+
+  /**
+   * Handles a request from the `Executor`, and sends the result back to it.
+   */
+  protected async handleRequest(request: Request): Promise<void> {
+    try {
+      let value = request.type === "cache"
+        ? await this._cache.handle(request, this)
+        : await this._call(request);
+
+      this.notify({ type: "result", requestId: request.id, value });
+    }
+    catch (error) {
+      this.notify({ type: "result", requestId: request.id, error: cloneError(error) });
+    }
+  }
+
+  /**
+   * Calls a handler that was registered on the main thread, and returns its serialized result.
+   */
+  private async _call(request: CallRequest): Promise<Cloneable> {
+    let handler = this._handlers.get(request.name);
+
+    if (!handler) {
+      throw ono({ name: request.name }, `There is no main-thread handler named "${request.name}".`);
+    }
+
+    let args = this._serializers.decode(request.args) as never[];
+    let value = await handler(...args);
+    return this._serializers.encode(value) as Cloneable;
+  }
+
+  /**
+   * Frees up capacity as soon as the `Executor` is done with a task, regardless of whether
+   * the output files have been read yet.
+   */
+  private _handleReply(reply: Reply | Request) {
+    if (isRequest(reply)) {
+      // Requests are handled by handleRequest()
+      return;
+    }
+
+    for (let task of this._tasks) {
+      if (task.messageId !== reply.to) {
+        continue;
+      }
+
+      if (reply.type === "read") {
+        if (task.input) {
+          this._sendInputFile(task.input, reply.to);
+        }
+        else {
+          this._sendChunk(task);
+        }
+      }
+      else if (reply.type === "file") {
+        task.outputCount++;
+        this._bytesReceived += reply.file.contents ? reply.file.contents.byteLength : 0;
+        this._useCredit(task);
+      }
+      else if (reply.type === "value") {
+        task.outputCount++;
+        this._useCredit(task);
+      }
+      else if (reply.type === "chunk") {
+        this._bytesReceived += reply.chunk.byteLength;
+      }
+      else if (reply.type === "finished") {
+        if (reply.heapUsed !== undefined) {
+          this._heapUsed = reply.heapUsed;
+        }
+
+        this._finishTask(task);
+      }
+      else if (reply.type === "error") {
+        // Plugins can throw values that aren't errors, but task results always report an Error
+        let error = task.error || createError(reply.error, this._errorClasses);
+        this._finishTask(task, error instanceof Error ? error : ono(String(error)));
+      }
+    }
+  }
+
+  /**
+   * Sends the next chunk of a file whose contents are streamed, or signals the end of the contents.
+   */
+  private _sendChunk(task: Task) {
+    if (!task.stream || task.messageId === undefined) {
+      return;
+    }
+
+    let { contents, offset } = task.stream;
+
+    if (offset < contents.byteLength) {
+      // Copy the chunk into its own memory, so it can be transferred without affecting the original file
+      let end = Math.min(offset + this._options.streamChunkSize, contents.byteLength);
+      let chunk = new Uint8Array(end - offset);
+      chunk.set(contents.subarray(offset, end));
+
+      task.stream.offset = end;
+      this._bytesSent += chunk.byteLength;
+      this.notify({ type: "chunk", messageId: task.messageId, chunk }, [chunk.buffer]);
+    }
+    else {
+      this.notify({ type: "chunk", messageId: task.messageId });
+    }
+  }
+
+  /**
+   * Sends the next input file of a task that processes all files, or signals the end of the files.
+   * Input files are always sent whole, rather than streamed.
+   */
+  private _sendInputFile(input: AsyncIterator<File>, messageId: number) {
+    input.next()
+      .then((result) => {
+        if (result.done) {
+          this.notify({ type: "inputFile", messageId });
+        }
+        else {
+          let file = result.value;
+          let [fileClone, transferList] = cloneFile(file, { transfer: this._options.contentTransfer, serializers: this._serializers });
+          this._bytesSent += file.contents.byteLength;
+          this.notify({ type: "inputFile", messageId, file: fileClone }, transferList);
+        }
+      })
+      .catch((error: Error) => this.notify({ type: "inputFile", messageId, error: cloneError(error) }));
+  }
+
+  /**
+   * Removes a task from this worker's load and notifies the `WorkerPool` that the worker has capacity.
+   * If the file was sent to the `Executor`, then the result is included in the notification.
+   */
+  private _finishTask(task: Task, error?: Error) {
+    if (!this._tasks.delete(task)) {
+      return;
+    }
+
+    if (task.timer) {
+      clearTimeout(task.timer);
+    }
+
+    if (this._tasks.size === 0 && this._busySince !== undefined) {
+      this._busyTime += Date.now() - this._busySince;
+      this._busySince = undefined;
+    }
+
+    let result: TaskResult | undefined;
+
+    if (task.sentAt !== undefined) {
+      if (error) {
+        this._tasksFailed++;
+      }
+      else {
+        this._tasksCompleted++;
+      }
+
+      let duration = Date.now() - task.sentAt;
+      result = { moduleUID: task.moduleUID, path: task.path, duration, outputCount: task.outputCount, error };
+    }
+
+    this.emit("taskFinished", result);
+  }
+
   /**
    * Logs a debug message for this worker.
    */
@@ -129,3 +991,164 @@ export class Worker extends Messenger {
     this._logger.debug(message, { ...data, workerId: this.threadId });
   }
 }
+
+
+/**
+ * The amount of work that a `Worker` is currently doing.
+ * @internal
+ */
+export interface WorkerLoad {
+  /**
+   * The number of files that are being processed.
+   */
+  tasks: number;
+
+  /**
+   * The total size of the files that are being processed.
+   */
+  bytes: number;
+
+  /**
+   * The number of single files that have been given to the worker, but not yet sent to the `Executor`,
+   * such as files that are waiting to be sent in a batch. Other tasks aren't included, since they're
+   * never batched.
+   */
+  unsent: number;
+}
+
+
+/**
+ * A file (or other task) that is being processed by a `Worker`.
+ */
+interface Task {
+  /**
+   * The size of the file contents.
+   */
+  bytes: number;
+
+  /**
+   * The module that is processing the file.
+   */
+  moduleUID: number;
+
+  /**
+   * The path of the file, for error messages. Tasks that aren't for a single file use a wildcard.
+   */
+  path: string;
+
+  /**
+   * The ID of the `processFile` message, once it has been sent to the `Executor`.
+   */
+  messageId?: number;
+
+  /**
+   * When the `processFile` message was sent to the `Executor`.
+   */
+  sentAt?: number;
+
+  /**
+   * The number of output files that the `Executor` has sent.
+   */
+  outputCount: number;
+
+  /**
+   * The error that caused the main thread to stop waiting for the `Executor`, such as a timeout.
+   */
+  error?: Error;
+
+  /**
+   * The timer that enforces the `processFileTimeout` option. It's paused while the `Executor`
+   * is waiting for its output to be read.
+   */
+  timer?: NodeJS.Timeout;
+
+  /**
+   * When the timer was last started or resumed.
+   */
+  timerStartedAt?: number;
+
+  /**
+   * How long (in milliseconds) the task can still run before it times out, as of `timerStartedAt`.
+   */
+  timeLeft?: number;
+
+  /**
+   * The number of outputs that the `Executor` can send before it waits for them to be read.
+   */
+  credits?: number;
+
+  /**
+   * The contents of a file that are streamed to the `Executor`, and how much has been sent so far.
+   */
+  stream?: { contents: Buffer; offset: number };
+
+  /**
+   * The input files of a task that processes all files, which are sent as the `Executor` requests them.
+   */
+  input?: AsyncIterator<File>;
+}
+
+
+/**
+ * Returns the options that are passed to the `Executor` when the worker thread starts.
+ */
+function getExecutorOptions({ streamThreshold, streamChunkSize }: NormalizedOptions): ExecutorOptions {
+  return { streamThreshold, streamChunkSize };
+}
+
+
+/**
+ * An output file whose contents are being received from the `Executor` in chunks.
+ */
+interface StreamedOutput {
+  /**
+   * The output file, without its contents.
+   */
+  reply: OutputFileReply;
+
+  /**
+   * The contents that have been received so far.
+   */
+  contents: Buffer;
+
+  /**
+   * How many bytes of the contents have been received so far.
+   */
+  offset: number;
+}
+
+
+/**
+ * Re-attaches the original contents to an output file whose contents weren't changed
+ * by the `Executor`, since streamed contents aren't sent back to the main thread.
+ */
+function restoreStreamedFile(clone: FileClone, file: File): FileClone {
+  let { contentsUnchanged, ...fileInfo } = clone;
+  return { ...fileInfo, contents: file.contents };
+}
+
+
+/**
+ * Files that are waiting to be sent to the `Executor` in a single `processFiles` message.
+ */
+interface Batch {
+  /**
+   * The run that all of the files belong to.
+   */
+  run: Run;
+
+  /**
+   * The files in the batch, and the functions that receive each file's message ID once it's sent.
+   */
+  files: Array<{ task: Task; file: File; resolve(messageId: number): void; reject(reason: Error): void }>;
+
+  /**
+   * The total size of the file contents.
+   */
+  bytes: number;
+
+  /**
+   * The timer that enforces the `batchLatency` option.
+   */
+  timer?: NodeJS.Timeout;
+}
@@ -1,6 +1,25 @@
-import { FileProcessor, ModuleDefinition } from "@code-engine/types";
+import { Cloneable, FileProcessor, ModuleDefinition } from "@code-engine/types";
+import { ErrorClone } from "../clone/error";
 import { FileClone } from "../clone/file";
-import { RunClone } from "../clone/run";
+import { ContextClone, RunClone } from "../clone/run";
+import { ModuleType } from "../main-thread/options";
+
+
+/**
+ * Options that a `Worker` passes to its `Executor` when the worker thread starts.
+ * @internal
+ */
+export interface ExecutorOptions {
+  /**
+   * Output file contents that are larger than this are sent to the `Worker` in chunks.
+   */
+  streamThreshold: number;
+
+  /**
+   * The size (in bytes) of each chunk of streamed output file contents.
+   */
+  streamChunkSize: number;
+}
 
 
 /**
@@ -26,7 +45,10 @@ export interface IncomingMessage {
  * The messages that can be sent from a `Worker` to an `Executor`.
  * @internal
  */
-export type Message = ImportFileProcessorMessage | ImportModuleMessage | ProcessFileMessage;
+export type Message =
+  ImportFileProcessorMessage | ImportFilesProcessorMessage | ImportModuleMessage | ImportSerializersMessage |
+  UnloadFileProcessorMessage | ReloadMessage | ProcessFileMessage | ProcessFilesMessage | ProcessAllFilesMessage | InputFileMessage |
+  ExecMessage | ChunkMessage | ReadMessage | CreditMessage | CancelMessage | TeardownMessage | ResultMessage | BroadcastMessage;
 
 
 /**
@@ -45,6 +67,32 @@ export interface ImportFileProcessorMessage extends ModuleDefinition<FileProcess
    * The directory to resolve relative module IDs.
    */
   cwd: string;
+
+  /**
+   * Whether the module is CommonJS or an ECMAScript module.
+   */
+  moduleType: ModuleType;
+
+  /**
+   * The name of the export to use instead of the module's default export.
+   */
+  exportName?: string;
+
+  /**
+   * Indicates that the module was already imported, and should be removed from the module cache
+   * and imported again. The new version isn't used until a `commitReload` message is received.
+   */
+  reload?: boolean;
+}
+
+
+/**
+ * A message that instructs a `Worker` or `Executor` to import a `FilesProcessor` module,
+ * which processes all files at once rather than one at a time.
+ * @internal
+ */
+export interface ImportFilesProcessorMessage extends Omit<ImportFileProcessorMessage, "type"> {
+  type: "importFilesProcessor";
 }
 
 
@@ -59,6 +107,90 @@ export interface ImportModuleMessage extends ModuleDefinition<void> {
    * The directory to resolve relative module IDs.
    */
   cwd: string;
+
+  /**
+   * Whether the module is CommonJS or an ECMAScript module.
+   */
+  moduleType: ModuleType;
+
+  /**
+   * The name of the export to use instead of the module's default export.
+   */
+  exportName?: string;
+
+  /**
+   * Indicates that the module was already imported, and should be removed from the module cache
+   * and imported again. The new version isn't used until a `commitReload` message is received.
+   */
+  reload?: boolean;
+}
+
+
+/**
+ * A message that instructs a `Worker` or `Executor` to import a module that exports serializers.
+ * @internal
+ */
+export interface ImportSerializersMessage {
+  type: "importSerializers";
+
+  /**
+   * The name or path of the module.
+   */
+  moduleId: string;
+
+  /**
+   * The directory to resolve relative module IDs.
+   */
+  cwd: string;
+
+  /**
+   * Whether the module is CommonJS or an ECMAScript module.
+   */
+  moduleType: ModuleType;
+}
+
+
+/**
+ * A message that instructs an `Executor` to remove a `FileProcessor` and its module from memory.
+ * @internal
+ */
+export interface UnloadFileProcessorMessage {
+  type: "unloadFileProcessor";
+
+  /**
+   * The unique ID of the module to unload.
+   */
+  moduleUID: number;
+
+  /**
+   * The module ID, which is removed from the module cache.
+   */
+  moduleId: string;
+
+  /**
+   * The directory to resolve relative module IDs.
+   */
+  cwd: string;
+}
+
+
+/**
+ * A message that instructs an `Executor` to start using the new version of a module that it has
+ * reloaded, or to discard the new version and keep using the old one.
+ * @internal
+ */
+export interface ReloadMessage {
+  type: "commitReload" | "abortReload";
+
+  /**
+   * The module ID that was reloaded.
+   */
+  moduleId: string;
+
+  /**
+   * The directory to resolve relative module IDs.
+   */
+  cwd: string;
 }
 
 
@@ -83,4 +215,275 @@ export interface ProcessFileMessage {
    * Information about the current run.
    */
   run: RunClone;
+
+  /**
+   * The number of output files that the `Executor` can send before it must wait for more credits.
+   */
+  credits: number;
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` to process a batch of files. The `Executor` treats each
+ * file as a separate `processFile` message, and replies to each one using its own ID.
+ * @internal
+ */
+export interface ProcessFilesMessage {
+  type: "processFiles";
+
+  /**
+   * The files to be processed.
+   */
+  files: BatchedFile[];
+
+  /**
+   * Information about the current run, which is shared by all of the files.
+   */
+  run: RunClone;
+
+  /**
+   * The number of output files that the `Executor` can send for each file before it must wait for more credits.
+   */
+  credits: number;
+}
+
+
+/**
+ * A file in a `processFiles` message.
+ * @internal
+ */
+export interface BatchedFile {
+  /**
+   * The message ID that the `Executor` uses to reply about this file.
+   */
+  id: number;
+
+  /**
+   * The unique ID of the module whose `FileProcessor` function is called.
+   */
+  moduleUID: number;
+
+  /**
+   * The file to be processed.
+   */
+  file: FileClone;
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` to call a plugin's `processFiles()` function.
+ * The input files are sent in `inputFile` messages, as the `Executor` requests them via `ReadReply`.
+ * @internal
+ */
+export interface ProcessAllFilesMessage {
+  type: "processAllFiles";
+
+  /**
+   * The unique ID of the module whose `FilesProcessor` function is called.
+   */
+  moduleUID: number;
+
+  /**
+   * Information about the current run.
+   */
+  run: RunClone;
+
+  /**
+   * The number of output files that the `Executor` can send before it must wait for more credits.
+   */
+  credits: number;
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` containing the next input file of a `processAllFiles`
+ * message, in response to a `ReadReply`. The `Executor` does not reply to this message.
+ * @internal
+ */
+export interface InputFileMessage {
+  type: "inputFile";
+
+  /**
+   * The ID of the `processAllFiles` message whose input files are being streamed.
+   */
+  messageId: number;
+
+  /**
+   * The next input file, or `undefined` if there are no more files.
+   */
+  file?: FileClone;
+
+  /**
+   * The error that occurred while reading the input files, if any.
+   */
+  error?: ErrorClone;
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` to call a function that is exported by a module.
+ * The `Executor` replies with the function's return value, or each value that it yields.
+ * @internal
+ */
+export interface ExecMessage {
+  type: "exec";
+
+  /**
+   * The name or path of the module.
+   */
+  moduleId: string;
+
+  /**
+   * The name of the function to call.
+   */
+  exportName: string;
+
+  /**
+   * The directory to resolve relative module IDs.
+   */
+  cwd: string;
+
+  /**
+   * Whether the module is CommonJS or an ECMAScript module.
+   */
+  moduleType: ModuleType;
+
+  /**
+   * The serialized arguments to pass to the function.
+   */
+  args: Cloneable[];
+
+  /**
+   * Information about CodeEngine, which is the function's `this` context.
+   */
+  context: ContextClone;
+
+  /**
+   * The number of yielded values that the `Executor` can send before it must wait for more credits.
+   */
+  credits: number;
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` containing the next chunk of a file's contents,
+ * in response to a `ReadReply`. The `Executor` does not reply to this message.
+ * @internal
+ */
+export interface ChunkMessage {
+  type: "chunk";
+
+  /**
+   * The ID of the `processFile` message whose file contents are being streamed.
+   */
+  messageId: number;
+
+  /**
+   * The next chunk of the file contents, or `undefined` if there's no more data.
+   */
+  chunk?: Uint8Array;
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` requesting the next chunk of an output file's contents,
+ * which are too large to send in a single message. The `Executor` replies with a `ChunkReply`.
+ * @internal
+ */
+export interface ReadMessage {
+  type: "read";
+
+  /**
+   * The ID of the `processFile` (or `processAllFiles`) message whose output file contents are being streamed.
+   */
+  messageId: number;
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` that allows it to send more output files (or yielded values),
+ * because the previous ones have been read. The `Executor` does not reply to this message.
+ * @internal
+ */
+export interface CreditMessage {
+  type: "credit";
+
+  /**
+   * The ID of the `processFile` message whose output has been read.
+   */
+  messageId: number;
+
+  /**
+   * The number of additional output files that the `Executor` can send.
+   */
+  credits: number;
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` to stop working on a message that has timed out.
+ * @internal
+ */
+export interface CancelMessage {
+  type: "cancel";
+
+  /**
+   * The ID of the message to cancel.
+   */
+  messageId: number;
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` to call the `teardown` export of every module
+ * that it has imported, before the worker thread is terminated.
+ * @internal
+ */
+export interface TeardownMessage {
+  type: "teardown";
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` with the outcome of a `CallRequest`.
+ * The `Executor` does not reply to this message.
+ * @internal
+ */
+export interface ResultMessage {
+  type: "result";
+
+  /**
+   * The ID of the request.
+   */
+  requestId: number;
+
+  /**
+   * The value that the handler returned, if it succeeded.
+   */
+  value?: Cloneable;
+
+  /**
+   * The error that the handler threw, if it failed.
+   */
+  error?: ErrorClone;
+}
+
+
+/**
+ * A message from a `Worker` to an `Executor` that delivers data to every module that subscribes
+ * to the channel.
+ * @internal
+ */
+export interface BroadcastMessage {
+  type: "broadcast";
+
+  /**
+   * The name of the channel.
+   */
+  channel: string;
+
+  /**
+   * The serialized data to deliver.
+   */
+  data?: Cloneable;
 }
@@ -1,4 +1,4 @@
-import { CloneableObject, LogLevel } from "@code-engine/types";
+import { Cloneable, CloneableObject, LogLevel } from "@code-engine/types";
 import { ErrorClone } from "../clone/error";
 import { FileClone } from "../clone/file";
 
@@ -7,7 +7,7 @@ import { FileClone } from "../clone/file";
  * The replies that can be sent from an `Executor` to a `Worker` in response to a message.
  * @internal
  */
-export type Reply = { to: number } & (FinishedReply | ErrorReply | ImportFileProcessorReply | LogReply | OutputFileReply);
+export type Reply = { to: number } & (FinishedReply | ErrorReply | ImportFileProcessorReply | LogReply | OutputFileReply | ValueReply | ReadReply | ChunkReply);
 
 
 /**
@@ -17,6 +17,12 @@ export type Reply = { to: number } & (FinishedReply | ErrorReply | ImportFilePro
  */
 export interface FinishedReply {
   type: "finished";
+
+  /**
+   * The worker thread's heap usage (in bytes) after processing a task.
+   * This is only included in replies to `processFile`, `processAllFiles`, and `exec` messages.
+   */
+  heapUsed?: number;
 }
 
 
@@ -36,14 +42,15 @@ export interface ErrorReply {
 
 
 /**
- * A reply from an `Executor` to a `Worker` confirming that a `FileProcessor` module has been imported successfully.
+ * A reply from an `Executor` to a `Worker` confirming that a `FileProcessor` or `FilesProcessor`
+ * module has been imported successfully.
  * @internal
  */
 export interface ImportFileProcessorReply {
   type: "fileProcessorImported";
 
   /**
-   * The name of the `FileProcessor` function.
+   * The name of the `FileProcessor` or `FilesProcessor` function.
    */
   name: string;
 }
@@ -67,15 +74,15 @@ export interface LogReply {
   message: string | ErrorClone;
 
   /**
-   * Additional data to be logged.
+   * Additional data to be logged. Plugins that aren't type-checked may pass `null`.
    */
-  data?: CloneableObject;
+  data?: CloneableObject | null;
 }
 
 
 /**
  * A reply from an `Executor` to a `Worker` containing an output file from a plugin's
- * `processFile()` function.
+ * `processFile()` or `processFiles()` function.
  * @internal
  */
 export interface OutputFileReply {
@@ -86,3 +93,49 @@ export interface OutputFileReply {
    */
   file: FileClone;
 }
+
+
+/**
+ * A reply from an `Executor` to a `Worker` containing the value that was returned or yielded by
+ * a function that was called via an `exec` message.
+ * @internal
+ */
+export interface ValueReply {
+  type: "value";
+
+  /**
+   * The serialized value.
+   */
+  value?: Cloneable;
+
+  /**
+   * Indicates that the function returned an iterator, and this is one of the values that it yielded.
+   * Otherwise, this is the function's return value.
+   */
+  yielded?: boolean;
+}
+
+
+/**
+ * A request from an `Executor` to a `Worker` for the next chunk of a file whose contents are streamed,
+ * or for the next input file of a `processAllFiles` message.
+ * @internal
+ */
+export interface ReadReply {
+  type: "read";
+}
+
+
+/**
+ * A reply from an `Executor` to a `Worker` containing the next chunk of an output file's contents,
+ * in response to a `ReadMessage`. The file's `contentsSize` determines how many chunks there are.
+ * @internal
+ */
+export interface ChunkReply {
+  type: "chunk";
+
+  /**
+   * The next chunk of the file contents.
+   */
+  chunk: Uint8Array;
+}
@@ -0,0 +1,80 @@
+import { Cloneable, CloneableObject } from "@code-engine/types";
+import { Reply } from "./replies";
+
+
+/**
+ * The requests that can be sent from an `Executor` to a `Worker`. These flow in the opposite
+ * direction of messages, and the `Worker` responds to them with a `ResultMessage`.
+ * @internal
+ */
+export type Request = { id: number } & (CallRequest | CacheRequest);
+
+
+/**
+ * Determines whether a message from an `Executor` is a request, rather than a reply.
+ * @internal
+ */
+export function isRequest(message: Reply | Request): message is Request {
+  return message.type === "call" || message.type === "cache";
+}
+
+
+/**
+ * A request from an `Executor` to a `Worker` to call a handler that was registered on the main thread.
+ * @internal
+ */
+export interface CallRequest {
+  type: "call";
+
+  /**
+   * The name of the handler to call.
+   */
+  name: string;
+
+  /**
+   * The arguments to pass to the handler.
+   */
+  args: Cloneable[];
+}
+
+
+/**
+ * A request from an `Executor` to a `Worker` to read or update the cache that is shared by all worker threads.
+ * @internal
+ */
+export interface CacheRequest {
+  type: "cache";
+
+  /**
+   * The cache operation to perform. An "acquire" operation gets the value, or reserves the key so that
+   * only the requesting worker computes it. A "release" operation gives up the reservation.
+   */
+  operation: "get" | "set" | "delete" | "clear" | "acquire" | "release";
+
+  /**
+   * The cache key. This is required for all operations except "clear".
+   */
+  key?: string;
+
+  /**
+   * The serialized value to store. This is only used by "set" operations.
+   */
+  value?: Cloneable;
+}
+
+
+/**
+ * The result of a "get" or "acquire" cache operation.
+ * @internal
+ */
+export interface CacheLookup extends CloneableObject {
+  /**
+   * Indicates whether the key exists in the cache.
+   */
+  found: boolean;
+
+  /**
+   * The serialized value, if the key exists.
+   */
+  value?: Cloneable;
+}
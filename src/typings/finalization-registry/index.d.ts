@@ -0,0 +1,9 @@
+/**
+ * TypeScript 3.9 doesn't have typings for `FinalizationRegistry` yet (Node 14.6+).
+ * It doesn't exist at all on older versions of Node, so check for it before using it.
+ */
+declare class FinalizationRegistry<T> {
+  public constructor(cleanup: (heldValue: T) => void);
+  public register(target: object, heldValue: T, unregisterToken?: object): void;
+  public unregister(unregisterToken: object): boolean;
+}
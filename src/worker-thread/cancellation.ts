@@ -0,0 +1,66 @@
+/**
+ * Allows an `Executor` to stop waiting on a plugin when the `Worker` cancels a message.
+ *
+ * JavaScript can't interrupt a running function, so the plugin's pending promises and iterators
+ * are abandoned rather than stopped.
+ * @internal
+ */
+export class Cancellation {
+  private _isCancelled = false;
+  private _reject!: (reason: Error) => void;
+  private readonly _promise: Promise<never>;
+
+  public constructor() {
+    this._promise = new Promise<never>((resolve, reject) => this._reject = reject);
+
+    // Ensure that there's at least one rejection handler;
+    // otherwise, Node will crash the process
+    this._promise.catch(() => undefined);
+  }
+
+  /**
+   * Indicates whether the `cancel()` method has been called.
+   */
+  public get isCancelled(): boolean {
+    return this._isCancelled;
+  }
+
+  /**
+   * Cancels the task, which causes any pending `race()` calls to reject with the given error.
+   */
+  public cancel(reason: Error): void {
+    this._isCancelled = true;
+    this._reject(reason);
+  }
+
+  /**
+   * Waits for the given value, unless the task is cancelled first.
+   */
+  public async race<T>(value: T | Promise<T>): Promise<T> {
+    return Promise.race([Promise.resolve(value), this._promise]);
+  }
+
+  /**
+   * Iterates over the given values, unless the task is cancelled first.
+   */
+  public async* iterate<T>(iterable: AsyncIterable<T>): AsyncGenerator<T> {
+    let iterator = iterable[Symbol.asyncIterator]();
+
+    try {
+      while (true) {
+        let result = await this.race(iterator.next());
+        if (result.done) {
+          return;
+        }
+        yield result.value;
+      }
+    }
+    catch (error) {
+      if (this._isCancelled && iterator.return) {
+        // Give the iterator a chance to clean up, but don't wait for it
+        Promise.resolve(iterator.return()).catch(() => undefined);
+      }
+      throw error;
+    }
+  }
+}
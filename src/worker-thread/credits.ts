@@ -0,0 +1,38 @@
+/**
+ * Limits how many output files an `Executor` sends before the `Worker` has read them.
+ * Each file that is sent uses a credit, and the `Worker` grants another credit for each
+ * file that it reads.
+ * @internal
+ */
+export class Credits {
+  private _available: number;
+  private _waiting?: () => void;
+
+  public constructor(available: number) {
+    this._available = available;
+  }
+
+  /**
+   * Grants more credits, which may allow a pending `acquire()` call to resolve.
+   */
+  public add(count: number): void {
+    this._available += count;
+
+    let waiting = this._waiting;
+    if (waiting && this._available > 0) {
+      this._waiting = undefined;
+      waiting();
+    }
+  }
+
+  /**
+   * Uses a credit, waiting for one to be granted if none are available.
+   */
+  public async acquire(): Promise<void> {
+    if (this._available <= 0) {
+      await new Promise<void>((resolve) => this._waiting = resolve);
+    }
+
+    this._available--;
+  }
+}
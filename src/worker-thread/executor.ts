@@ -1,12 +1,21 @@
-import { FactoryFunction, FileProcessor } from "@code-engine/types";
-import { createFile, importModule, iterate, normalizeFileInfo } from "@code-engine/utils";
+import { Cloneable, FactoryFunction, File, FileInfo, FileProcessor, ZeroOrMore } from "@code-engine/types";
+import { createFile, iterate, IterableWriter, ModuleExports, normalizeFileInfo } from "@code-engine/utils";
 import { humanize } from "@jsdevtools/humanize-anything";
 import { ono } from "@jsdevtools/ono";
+import { Readable } from "stream";
+import { getHeapStatistics } from "v8";
 import { MessagePort } from "worker_threads";
-import { cloneFile } from "../clone/file";
-import { createRun } from "../clone/run";
-import { ImportFileProcessorMessage, ImportModuleMessage, IncomingMessage, ProcessFileMessage } from "../messaging/messages";
+import { cloneError, createError } from "../clone/error";
+import { cloneFile, FileClone, restoreFile } from "../clone/file";
+import { createContext, createRun } from "../clone/run";
+import { Serializers } from "../clone/serializers";
+import { FilesProcessor } from "../main-thread/files-processor";
+import { BroadcastMessage, CancelMessage, ChunkMessage, CreditMessage, ExecMessage, ExecutorOptions, ImportFileProcessorMessage, ImportFilesProcessorMessage, ImportModuleMessage, ImportSerializersMessage, IncomingMessage, InputFileMessage, ProcessAllFilesMessage, ProcessFileMessage, ProcessFilesMessage, ReadMessage, ReloadMessage, TeardownMessage, UnloadFileProcessorMessage } from "../messaging/messages";
 import { Messenger } from "../worker-thread/messenger";
+import { Cancellation } from "./cancellation";
+import { Credits } from "./credits";
+import { importModule, unloadModule } from "./import-module";
+import { createStreamedFile, getUnchangedFile } from "./streamed-file";
 
 /**
  * Executes commands in a worker thread that are sent by a corresponding `Worker` running on the main thread.
@@ -14,43 +23,474 @@ import { Messenger } from "../worker-thread/messenger";
  */
 export class Executor extends Messenger {
   public readonly threadId: number;
+  private readonly _options: ExecutorOptions;
   private readonly _processors = new Map<number, FileProcessor>();
+  private readonly _filesProcessors = new Map<number, FilesProcessor>();
+  private readonly _inputs = new Map<number, IterableWriter<File>>();
+  private readonly _cancellations = new Map<number, Cancellation>();
+  private readonly _credits = new Map<number, Credits>();
+  private readonly _streams = new Map<number, Readable>();
+  private readonly _reads = new Map<number, Credits>();
+  private readonly _serializers = new Serializers();
+  private readonly _teardowns = new Map<string, () => unknown>();
+  private readonly _subscriptions = new Map<string, Subscriptions>();
+  private readonly _reloads = new Map<string, Reload>();
+  private readonly _moduleUsers = new Map<string, Set<number>>();
+  private readonly _importedModules = new Set<string>();
 
-  public constructor(threadId: number, port: MessagePort) {
+  public constructor(threadId: number, port: MessagePort, options: ExecutorOptions) {
     super(port);
     this.threadId = threadId;
+    this._options = options;
   }
 
   /**
    * Imports the specified `FileProcessor` module.
    */
   public async importFileProcessor(message: IncomingMessage & ImportFileProcessorMessage): Promise<void> {
+    let fileProcessor = await this._importProcessor(message);
+
+    // Store the FileProcessor so we can call it later. If it's being reloaded, then it isn't used until
+    // the reload is committed, and files that are already being processed keep using the old one.
+    let processors = message.reload ? this._getReload(message).processors : this._processors;
+    processors.set(message.moduleUID, fileProcessor as FileProcessor);
+    this._addModuleUser(message.moduleId, message.moduleUID);
+
+    // Reply with information about the module
+    this.postReply({ to: message.id, type: "fileProcessorImported", name: fileProcessor.name });
+  }
+
+  /**
+   * Imports the specified `FilesProcessor` module.
+   */
+  public async importFilesProcessor(message: IncomingMessage & ImportFilesProcessorMessage): Promise<void> {
+    let filesProcessor = await this._importProcessor(message);
+    let processors = message.reload ? this._getReload(message).filesProcessors : this._filesProcessors;
+    processors.set(message.moduleUID, filesProcessor as FilesProcessor);
+    this._addModuleUser(message.moduleId, message.moduleUID);
+    this.postReply({ to: message.id, type: "fileProcessorImported", name: filesProcessor.name });
+  }
+
+  /**
+   * Imports the specified JavaScript module.
+   */
+  public async importModule(message: IncomingMessage & ImportModuleMessage): Promise<void> {
+    let { moduleId, cwd, moduleType, exportName } = message;
+    let cancellation = this._startTask(message.id);
+
+    try {
+      if (message.reload) {
+        this._getReload(message);
+      }
+
+      // Import the plugin module
+      let exports = await importModule(moduleId, cwd, moduleType);
+      let exported = exportName ? exports[exportName] : exports.default || exports;
+
+      if (exportName && !(exportName in exports)) {
+        throw ono.type(`The module has no export named "${exportName}".`);
+      }
+      else if (exportName && typeof exported !== "function") {
+        throw ono.type(
+          `The module exported ${humanize(exported, { article: true })} as "${exportName}". ` +
+          "Expected a function.");
+      }
+
+      if (typeof exported === "function") {
+        // Call the exported function with the given data
+        let factory = exported as FactoryFunction;
+        await cancellation.race(factory(this._serializers.decode(message.data)));
+      }
+
+      if (message.reload) {
+        this._getReload(message).exports = exports;
+      }
+      else {
+        this._addHooks(moduleId, exports);
+      }
+
+      // Modules that are imported this way are never unloaded
+      this._importedModules.add(moduleId);
+
+      // Reply that we're done importing the module
+      this.postReply({ to: message.id, type: "finished" });
+    }
+    catch (error) {
+      throw ono(error, { workerId: this.threadId, moduleId }, `Error importing module: ${moduleId}`);
+    }
+    finally {
+      this._cancellations.delete(message.id);
+    }
+  }
+
+  /**
+   * Imports the specified module and registers the serializers that it exports.
+   */
+  public async importSerializers(message: IncomingMessage & ImportSerializersMessage): Promise<void> {
+    let { moduleId, cwd, moduleType } = message;
+
+    try {
+      let exports = await importModule(moduleId, cwd, moduleType);
+      this._serializers.add(exports);
+      this.postReply({ to: message.id, type: "finished" });
+    }
+    catch (error) {
+      throw ono(error, { workerId: this.threadId, moduleId }, `Error importing module: ${moduleId}`);
+    }
+  }
+
+  /**
+   * Removes the specified `FileProcessor`, and removes its module from memory unless other processors
+   * (or `importModule` messages) still use it. Files that are already being processed are not affected.
+   */
+  public unloadFileProcessor(message: IncomingMessage & UnloadFileProcessorMessage): void {
     let { moduleUID, moduleId, cwd } = message;
-    let fileProcessor: FileProcessor;
+    this._processors.delete(moduleUID);
+    this._filesProcessors.delete(moduleUID);
+
+    let users = this._moduleUsers.get(moduleId);
+    if (users) {
+      users.delete(moduleUID);
+    }
+
+    if ((!users || users.size === 0) && !this._importedModules.has(moduleId)) {
+      // Nothing else uses the module
+      this._moduleUsers.delete(moduleId);
+      this._teardowns.delete(moduleId);
+      this._subscriptions.delete(moduleId);
+      unloadModule(moduleId, cwd);
+    }
+
+    this.postReply({ to: message.id, type: "finished" });
+  }
+
+  /**
+   * Starts using the new version of a module that was reloaded. Files that are already being
+   * processed keep using the old version.
+   */
+  public commitReload(message: IncomingMessage & ReloadMessage): void {
+    let reload = this._reloads.get(message.moduleId);
+
+    if (reload) {
+      this._reloads.delete(message.moduleId);
+
+      for (let [moduleUID, processor] of reload.processors) {
+        this._processors.set(moduleUID, processor);
+      }
+
+      for (let [moduleUID, processor] of reload.filesProcessors) {
+        this._filesProcessors.set(moduleUID, processor);
+      }
+
+      if (reload.exports) {
+        this._addHooks(message.moduleId, reload.exports);
+      }
+    }
+  }
+
+  /**
+   * Discards the new version of a module that was reloaded, because it couldn't be reloaded in
+   * every worker thread. The old version is still used.
+   */
+  public abortReload(message: IncomingMessage & ReloadMessage): void {
+    if (this._reloads.delete(message.moduleId)) {
+      // Don't leave the new version in the module cache
+      unloadModule(message.moduleId, message.cwd);
+    }
+  }
+
+  /**
+   * Processes a file using the specified plugin.
+   */
+  public async processFile(message: IncomingMessage & ProcessFileMessage): Promise<void> {
+    // Create clones of the File and Run
+    let file: File = createFile(restoreFile(message.file, this._serializers));
+    let run = createRun(this, message.id, message.run, this._serializers);
+
+    let cancellation = this._startTask(message.id);
+    let credits = new Credits(message.credits);
+    this._credits.set(message.id, credits);
+
+    let stream: Readable | undefined;
+
+    if (message.file.contentsStreamed) {
+      // The file is too large to send in one message, so the plugin reads it as a stream,
+      // which requests each chunk from the `Worker` as needed
+      stream = new Readable({ read: () => this.postReply({ to: message.id, type: "read" }) });
+      this._streams.set(message.id, stream);
+      file = createStreamedFile(file, message.file.contentsSize!, stream);
+    }
+
+    try {
+      // Process the file using the specified plugin
+      let fileProcessor = this._processors.get(message.moduleUID);
+
+      if (!fileProcessor) {
+        throw ono({ workerId: this.threadId, path: file.path }, `Cannot process ${file.path} because its plugin was unloaded.`);
+      }
+
+      let output = await cancellation.race(fileProcessor.call(undefined, file, run));  // eslint-disable-line no-useless-call
+      await this._sendOutput(message.id, output, cancellation, credits);
+    }
+    finally {
+      this._cancellations.delete(message.id);
+      this._credits.delete(message.id);
+
+      if (stream) {
+        this._streams.delete(message.id);
+        stream.destroy();
+      }
+    }
+  }
+
+  /**
+   * Processes all files at once using the specified plugin. The input files are requested from
+   * the `Worker` as the plugin reads them.
+   */
+  public async processAllFiles(message: IncomingMessage & ProcessAllFilesMessage): Promise<void> {
+    let run = createRun(this, message.id, message.run, this._serializers);
+
+    let cancellation = this._startTask(message.id);
+    let credits = new Credits(message.credits);
+    this._credits.set(message.id, credits);
+
+    let input = new IterableWriter<File>();
+    input.onRead = () => this.postReply({ to: message.id, type: "read" });
+    this._inputs.set(message.id, input);
+
+    try {
+      let filesProcessor = this._filesProcessors.get(message.moduleUID);
+
+      if (!filesProcessor) {
+        throw ono({ workerId: this.threadId }, "Cannot process files because their plugin was unloaded.");
+      }
+
+      let output = await cancellation.race(filesProcessor.call(undefined, input.iterable, run));  // eslint-disable-line no-useless-call
+      await this._sendOutput(message.id, output, cancellation, credits);
+    }
+    finally {
+      this._cancellations.delete(message.id);
+      this._credits.delete(message.id);
+      this._inputs.delete(message.id);
+    }
+  }
+
+  /**
+   * Calls a function that is exported by a module, and replies with its return value.
+   * If the function returns an iterator, then each value that it yields is sent separately.
+   */
+  public async exec(message: IncomingMessage & ExecMessage): Promise<void> {
+    let context = createContext(this, message.id, message.context, this._serializers);
+
+    let cancellation = this._startTask(message.id);
+    let credits = new Credits(message.credits);
+    this._credits.set(message.id, credits);
+
+    try {
+      let fn = await this._importFunction(message);
+      let args = this._serializers.decode(message.args);
+      let result = await cancellation.race(fn.apply(context, args));
+
+      if (isIterator(result)) {
+        for await (let value of cancellation.iterate(iterate(result))) {
+          // Don't send more values than the worker has room for
+          await cancellation.race(credits.acquire());
+          this.postReply({ to: message.id, type: "value", value: this._serializers.encode(value) as Cloneable, yielded: true });
+        }
+      }
+      else {
+        this.postReply({ to: message.id, type: "value", value: this._serializers.encode(result) as Cloneable });
+      }
+
+      let heapUsed = getHeapStatistics().used_heap_size;
+      this.postReply({ to: message.id, type: "finished", heapUsed });
+    }
+    finally {
+      this._cancellations.delete(message.id);
+      this._credits.delete(message.id);
+    }
+  }
+
+  /**
+   * Processes a batch of files. Each file is processed as if it were sent in its own `processFile` message.
+   */
+  public async processFiles(message: IncomingMessage & ProcessFilesMessage): Promise<void> {
+    let { run, credits } = message;
+
+    await Promise.all(message.files.map(async({ id, moduleUID, file }) => {
+      try {
+        await this.processFile({ type: "processFile", id, moduleUID, file, run, credits });
+      }
+      catch (error) {
+        this.postReply({ to: id, type: "error", error: cloneError(error) });
+      }
+    }));
+  }
+
+  /**
+   * Adds the next input file to a `processAllFiles` message, or ends its input files.
+   */
+  public inputFile(message: IncomingMessage & InputFileMessage): void {
+    let input = this._inputs.get(message.messageId);
+
+    if (input) {
+      let { file, error } = message;
+
+      // The writes resolve once the plugin reads them, so there's nothing to wait for here
+      if (error) {
+        // The writer re-throws whatever it's given, so values that aren't errors reach the plugin as-is
+        input.throw(createError(error) as Error).catch(() => undefined);
+      }
+      else if (file) {
+        input.write(createFile(restoreFile(file, this._serializers))).catch(() => undefined);
+      }
+      else {
+        input.end().catch(() => undefined);
+      }
+    }
+  }
+
+  /**
+   * Adds the next chunk of a file's contents to its stream.
+   */
+  public chunk(message: IncomingMessage & ChunkMessage): void {
+    let stream = this._streams.get(message.messageId);
+
+    if (stream) {
+      let { chunk } = message;
+      stream.push(chunk ? Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength) : null);
+    }
+  }
+
+  /**
+   * Allows a `processFile` message to send the next chunk of an output file's contents.
+   */
+  public read(message: IncomingMessage & ReadMessage): void {
+    let reads = this._reads.get(message.messageId);
+
+    if (reads) {
+      reads.add(1);
+    }
+  }
+
+  /**
+   * Allows a `processFile` message to send more output files.
+   */
+  public credit(message: IncomingMessage & CreditMessage): void {
+    let credits = this._credits.get(message.messageId);
+
+    if (credits) {
+      credits.add(message.credits);
+    }
+  }
+
+  /**
+   * Stops working on a message that the `Worker` is no longer waiting for.
+   */
+  public cancel(message: IncomingMessage & CancelMessage): void {
+    let cancellation = this._cancellations.get(message.messageId);
+
+    if (cancellation) {
+      cancellation.cancel(ono({ workerId: this.threadId }, `Message ${message.messageId} was cancelled.`));
+    }
+
+    this.postReply({ to: message.id, type: "finished" });
+  }
+
+  /**
+   * Calls the `teardown` export of every module that has been imported, in reverse order.
+   * Every module is torn down, even if an earlier one fails.
+   */
+  public async teardown(message: IncomingMessage & TeardownMessage): Promise<void> {
+    let teardowns = [...this._teardowns].reverse();
+    this._teardowns.clear();
+
+    let errors: Error[] = [];
+    let failedModuleIds: string[] = [];
+
+    for (let [moduleId, teardown] of teardowns) {
+      try {
+        await teardown();
+      }
+      catch (error) {
+        errors.push(ono(error, { workerId: this.threadId, moduleId }, `Error tearing down module: ${moduleId}`));
+        failedModuleIds.push(moduleId);
+      }
+    }
+
+    if (errors.length === 1) {
+      throw errors[0];
+    }
+    else if (errors.length > 1) {
+      throw ono({ workerId: this.threadId, moduleIds: failedModuleIds, errors },
+        `${errors.length} modules failed to tear down: ${failedModuleIds.join(", ")}`);
+    }
+
+    this.postReply({ to: message.id, type: "finished" });
+  }
+
+  /**
+   * Calls the module subscriptions for the channel, in the order that the modules were imported.
+   */
+  public async broadcast(message: IncomingMessage & BroadcastMessage): Promise<void> {
+    let { channel } = message;
+    let data = this._serializers.decode(message.data);
+
+    for (let [moduleId, subscriptions] of [...this._subscriptions]) {
+      let subscriber = subscriptions[channel];
+
+      if (typeof subscriber === "function") {
+        try {
+          await subscriber(data);
+        }
+        catch (error) {
+          throw ono(error, { workerId: this.threadId, moduleId, channel },
+            `Error handling the "${channel}" broadcast in module: ${moduleId}`);
+        }
+      }
+    }
+
+    this.postReply({ to: message.id, type: "finished" });
+  }
+
+  /**
+   * Imports a `FileProcessor` or `FilesProcessor` module, and returns the processor function.
+   */
+  private async _importProcessor(message: IncomingMessage & (ImportFileProcessorMessage | ImportFilesProcessorMessage)): Promise<Processor> {
+    let { moduleId, cwd, moduleType, exportName } = message;
+    let cancellation = this._startTask(message.id);
+    let processor: Processor;
 
     try {
+      if (message.reload) {
+        this._getReload(message);
+      }
+
       // Import the plugin module
-      let exports = await importModule(moduleId, cwd);
-      let defaultExport = exports.default;
+      let exports = await importModule(moduleId, cwd, moduleType);
+      let exported = exportName ? exports[exportName] : exports.default;
 
-      if (defaultExport === undefined || defaultExport === null) {
+      if (exportName && !(exportName in exports)) {
+        throw ono.type(`The module has no export named "${exportName}". CodeEngine plugin modules must export a function.`);
+      }
+      else if (exported === undefined || exported === null) {
         throw ono.type("CodeEngine plugin modules must export a function.");
       }
-      else if (typeof defaultExport !== "function") {
+      else if (typeof exported !== "function") {
         throw ono.type(
-          `The module exported ${humanize(defaultExport, { article: true })}. ` +
+          `The module exported ${humanize(exported, { article: true })}${exportName ? ` as "${exportName}"` : ""}. ` +
           "CodeEngine plugin modules must export a function.");
       }
 
-      // This could be a FileProcessor or a FactoryFunction
+      // This could be a processor or a FactoryFunction
       if (message.data === undefined) {
-        // The exported function is a FileProcessor
-        fileProcessor = defaultExport as FileProcessor;
+        // The exported function is the processor
+        processor = exported as Processor;
       }
       else {
         // The exported function is a FactoryFunction, so call the factory with the given data.
-        let factory = defaultExport as FactoryFunction;
-        let product = await Promise.resolve(factory(message.data));
+        let factory = exported as FactoryFunction;
+        let product = await cancellation.race(factory(this._serializers.decode(message.data)));
 
         if (product === undefined || product === null) {
           throw ono.type(`The ${factory.name || "exported"} function must return a CodeEngine file processor.`);
@@ -61,40 +501,47 @@ export class Executor extends Messenger {
             "Expected a CodeEngine file processor.");
         }
 
-        // The factory produced a FileProcessor
-        fileProcessor = product as FileProcessor;
+        // The factory produced a processor
+        processor = product as Processor;
       }
 
-      // Store the FileProcessor so we can call it later
-      this._processors.set(moduleUID, fileProcessor);
+      if (message.reload) {
+        this._getReload(message).exports = exports;
+      }
+      else {
+        this._addHooks(moduleId, exports);
+      }
 
-      // Reply with information about the module
-      this.postReply({ to: message.id, type: "fileProcessorImported", name: fileProcessor.name });
+      return processor;
     }
     catch (error) {
       throw ono(error, { workerId: this.threadId, moduleId }, `Error importing module: ${moduleId}`);
     }
+    finally {
+      this._cancellations.delete(message.id);
+    }
   }
 
   /**
-   * Imports the specified JavaScript module.
+   * Imports the module of an `exec` message, and returns the function to call.
    */
-  public async importModule(message: IncomingMessage & ImportModuleMessage): Promise<void> {
-    let { moduleId, cwd } = message;
+  private async _importFunction(message: ExecMessage): Promise<(...args: unknown[]) => unknown> {
+    let { moduleId, exportName, cwd, moduleType } = message;
 
     try {
-      // Import the plugin module
-      let exports = await importModule(moduleId, cwd);
-      let defaultExport = exports.default || exports;
+      let exports = await importModule(moduleId, cwd, moduleType);
+      let exported = exports[exportName];
 
-      if (typeof defaultExport === "function") {
-        // Call the exported function with the given data
-        let factory = defaultExport as FactoryFunction;
-        await Promise.resolve(factory(message.data));
+      if (!(exportName in exports)) {
+        throw ono.type(`The module has no export named "${exportName}".`);
+      }
+      else if (typeof exported !== "function") {
+        throw ono.type(
+          `The module exported ${humanize(exported, { article: true })} as "${exportName}". ` +
+          "Expected a function.");
       }
 
-      // Reply that we're done importing the module
-      this.postReply({ to: message.id, type: "finished" });
+      return exported as (...args: unknown[]) => unknown;
     }
     catch (error) {
       throw ono(error, { workerId: this.threadId, moduleId }, `Error importing module: ${moduleId}`);
@@ -102,24 +549,153 @@ export class Executor extends Messenger {
   }
 
   /**
-   * Processes a file using the specified plugin.
+   * Sends a plugin's output files to the `Worker`, without sending more than it has room for,
+   * and then lets it know that we're done.
    */
-  public async processFile(message: IncomingMessage & ProcessFileMessage): Promise<void> {
-    // Create clones of the File and Run
-    let file = createFile(message.file);
-    let run = createRun(this, message.id, message.run);
+  private async _sendOutput(messageId: number, output: unknown, cancellation: Cancellation, credits: Credits) {
+    let { streamThreshold } = this._options;
+
+    // The `Worker` requests each chunk of an output file whose contents are streamed
+    let reads = new Credits(0);
+    this._reads.set(messageId, reads);
 
-    // Process the file using the specified plugin
-    let fileProcessor = this._processors.get(message.moduleUID)!;
-    let output = await fileProcessor.call(undefined, file, run);  // eslint-disable-line no-useless-call
+    try {
+      for await (let fileInfo of cancellation.iterate(iterate(output as ZeroOrMore<FileInfo>))) {
+        let unchangedFile = getUnchangedFile(fileInfo);
+        let outFile = normalizeFileInfo(unchangedFile || fileInfo);
+        let outFileClone: FileClone, transferList: ArrayBuffer[] | undefined;
+
+        if (unchangedFile) {
+          // The streamed file's contents weren't changed, so the `Worker` can re-use the original contents
+          outFileClone = { ...outFile, contents: undefined, contentsUnchanged: true };
+        }
+        else {
+          // The output files aren't used by this thread after they're sent, so it's safe to transfer them
+          [outFileClone, transferList] = cloneFile(outFile, { transfer: "transfer", streamThreshold, serializers: this._serializers });
+        }
+
+        // Don't send more files than the worker has room for
+        await cancellation.race(credits.acquire());
+        this.postReply({ to: messageId, type: "file", file: outFileClone }, transferList);
 
-    for await (let fileInfo of iterate(output)) {
-      let outFile = normalizeFileInfo(fileInfo);
-      let [outFileClone, transferList] = cloneFile(outFile);
-      this.postReply({ to: message.id, type: "file", file: outFileClone }, transferList);
+        if (outFileClone.contentsStreamed) {
+          await this._sendChunks(messageId, outFile.contents!, cancellation, reads);
+        }
+      }
+    }
+    finally {
+      this._reads.delete(messageId);
     }
 
     // Let the worker know that we're done yielding files
-    this.postReply({ to: message.id, type: "finished" });
+    let heapUsed = getHeapStatistics().used_heap_size;
+    this.postReply({ to: messageId, type: "finished", heapUsed });
   }
+
+  /**
+   * Sends the contents of an output file to the `Worker` in chunks, as it requests them.
+   */
+  private async _sendChunks(messageId: number, contents: Buffer, cancellation: Cancellation, reads: Credits) {
+    let { streamChunkSize } = this._options;
+
+    for (let offset = 0; offset < contents.byteLength; offset += streamChunkSize) {
+      await cancellation.race(reads.acquire());
+
+      // Copy the chunk into its own memory, so it can be transferred
+      let end = Math.min(offset + streamChunkSize, contents.byteLength);
+      let chunk = new Uint8Array(end - offset);
+      chunk.set(contents.subarray(offset, end));
+      this.postReply({ to: messageId, type: "chunk", chunk }, [chunk.buffer]);
+    }
+  }
+
+  /**
+   * Records the module's `teardown` export, so it can be called before the thread exits,
+   * and its `subscriptions` export, so it can receive broadcasts.
+   */
+  private _addHooks(moduleId: string, exports: ModuleExports) {
+    if (typeof exports.teardown === "function") {
+      this._teardowns.set(moduleId, exports.teardown as () => unknown);
+    }
+
+    // A reloaded module may no longer have subscriptions
+    if (exports.subscriptions && typeof exports.subscriptions === "object") {
+      this._subscriptions.set(moduleId, exports.subscriptions as Subscriptions);
+    }
+    else {
+      this._subscriptions.delete(moduleId);
+    }
+  }
+
+  /**
+   * Records that a `FileProcessor` or `FilesProcessor` uses the given module, so the module isn't
+   * unloaded until all of them are.
+   */
+  private _addModuleUser(moduleId: string, moduleUID: number) {
+    let users = this._moduleUsers.get(moduleId);
+
+    if (!users) {
+      users = new Set<number>();
+      this._moduleUsers.set(moduleId, users);
+    }
+
+    users.add(moduleUID);
+  }
+
+  /**
+   * Returns the new version of a module that is being reloaded. The first import of the reload
+   * removes the old version from the module cache, and the others re-use the new version.
+   */
+  private _getReload({ moduleId, cwd }: ImportModuleMessage | ImportFileProcessorMessage | ImportFilesProcessorMessage): Reload {
+    let reload = this._reloads.get(moduleId);
+
+    if (!reload) {
+      reload = { processors: new Map<number, FileProcessor>(), filesProcessors: new Map<number, FilesProcessor>() };
+      this._reloads.set(moduleId, reload);
+      unloadModule(moduleId, cwd);
+    }
+
+    return reload;
+  }
+
+  /**
+   * Keeps track of a message that is being worked on, so it can be cancelled.
+   */
+  private _startTask(messageId: number): Cancellation {
+    let cancellation = new Cancellation();
+    this._cancellations.set(messageId, cancellation);
+    return cancellation;
+  }
+}
+
+
+/**
+ * The new version of a module that has been reloaded, but isn't used until the reload is committed.
+ */
+interface Reload {
+  processors: Map<number, FileProcessor>;
+  filesProcessors: Map<number, FilesProcessor>;
+  exports?: ModuleExports;
+}
+
+
+/**
+ * The functions that a module exports to receive broadcasts, by channel name.
+ */
+type Subscriptions = Record<string, ((data: unknown) => unknown) | undefined>;
+
+
+/**
+ * A `FileProcessor` or `FilesProcessor` function that was exported by a plugin module.
+ */
+type Processor = FileProcessor | FilesProcessor;
+
+
+/**
+ * Determines whether a function's return value is an iterator (such as a generator) whose values
+ * should be sent separately, rather than a value (such as an array) that should be sent as a whole.
+ */
+function isIterator(value: unknown): value is Iterator<unknown> | AsyncIterator<unknown> {
+  let iterator = value as Partial<Iterator<unknown>> | undefined;
+  return Boolean(iterator) && typeof iterator!.next === "function";
 }
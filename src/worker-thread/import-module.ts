@@ -0,0 +1,141 @@
+import { importModule as importCommonJS, ModuleExports, resolveModule } from "@code-engine/utils";
+import { ono } from "@jsdevtools/ono";
+import { promises as fs } from "fs";
+import * as path from "path";
+import { pathToFileURL } from "url";
+import { ModuleType } from "../main-thread/options";
+
+/**
+ * Calls the native `import()` function. TypeScript would otherwise compile it to `require()`,
+ * which can't load ECMAScript modules.
+ */
+// eslint-disable-next-line @typescript-eslint/no-implied-eval, no-new-func
+const nativeImport = new Function("specifier", "return import(specifier)") as (specifier: string) => Promise<ModuleExports>;
+
+/**
+ * The number of times that each ECMAScript module has been unloaded. Node.js has no way to remove
+ * an ECMAScript module from its cache, so reloaded modules are imported with a different URL.
+ */
+const reloadCounts = new Map<string, number>();
+
+/**
+ * Imports the specified JavaScript module, either from the specified path or a globally-installed
+ * NPM package. CommonJS modules are loaded via `require()`, and ECMAScript modules via `import()`.
+ *
+ * @param moduleId - The name or path of the module to import
+ * @param cwd - The directory to start searching for the module
+ * @param moduleType - The type of module, or "auto" to detect it the same way Node.js does
+ *
+ * @internal
+ */
+export async function importModule(moduleId: string, cwd: string, moduleType: ModuleType): Promise<ModuleExports> {
+  let modulePath = resolveModule(moduleId, cwd);
+
+  if (!modulePath) {
+    throw ono({ moduleId }, `Cannot find module: ${moduleId}`);
+  }
+
+  if (moduleType === "auto") {
+    moduleType = await detectModuleType(modulePath);
+  }
+
+  if (moduleType === "module") {
+    let url = pathToFileURL(modulePath);
+    let reloadCount = reloadCounts.get(modulePath);
+
+    if (reloadCount) {
+      url.searchParams.set("reload", String(reloadCount));
+    }
+
+    return nativeImport(url.href);
+  }
+
+  return importCommonJS(modulePath);
+}
+
+/**
+ * Removes the specified module from the module cache, so the next import re-evaluates it.
+ * Local CommonJS dependencies of the module are removed too, but packages in `node_modules` are not.
+ * ECMAScript modules are re-evaluated, but the modules that they import are not.
+ *
+ * @internal
+ */
+export function unloadModule(moduleId: string, cwd: string): void {
+  let modulePath = resolveModule(moduleId, cwd);
+
+  if (modulePath) {
+    reloadCounts.set(modulePath, (reloadCounts.get(modulePath) || 0) + 1);
+    uncache(modulePath);
+  }
+}
+
+/**
+ * Removes the specified CommonJS module and its local dependencies from the `require()` cache.
+ */
+function uncache(modulePath: string): void {
+  let cached = require.cache[modulePath];
+
+  if (cached) {
+    delete require.cache[modulePath];   // eslint-disable-line @typescript-eslint/no-dynamic-delete
+
+    for (let child of cached.children) {
+      if (!child.filename.includes(`${path.sep}node_modules${path.sep}`)) {
+        uncache(child.filename);
+      }
+    }
+  }
+}
+
+/**
+ * Determines whether the specified file is a CommonJS or ECMAScript module, based on its
+ * file extension or the `type` field of the nearest `package.json` file.
+ */
+async function detectModuleType(modulePath: string): Promise<Exclude<ModuleType, "auto">> {
+  let ext = path.extname(modulePath);
+
+  if (ext === ".mjs") {
+    return "module";
+  }
+  else if (ext !== ".js") {
+    // .cjs, .json, and .node files are always loaded via require()
+    return "commonjs";
+  }
+
+  let dir = path.dirname(modulePath);
+
+  while (true) {
+    let manifest = await readPackageJson(path.join(dir, "package.json"));
+
+    if (manifest) {
+      return manifest.type === "module" ? "module" : "commonjs";
+    }
+
+    let parentDir = path.dirname(dir);
+    if (parentDir === dir) {
+      // We've reached the root directory without finding a package.json file
+      return "commonjs";
+    }
+
+    dir = parentDir;
+  }
+}
+
+/**
+ * Reads the specified `package.json` file, if it exists.
+ */
+async function readPackageJson(manifestPath: string): Promise<{ type?: unknown } | undefined> {
+  let json;
+
+  try {
+    json = await fs.readFile(manifestPath, "utf8");
+  }
+  catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT" || (error as NodeJS.ErrnoException).code === "ENOTDIR") {
+      return undefined;
+    }
+    throw error;
+  }
+
+  let manifest = JSON.parse(json) as unknown;
+  return manifest && typeof manifest === "object" ? manifest as { type?: unknown } : {};
+}
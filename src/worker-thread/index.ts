@@ -1,5 +1,6 @@
-import { parentPort, threadId } from "worker_threads";
+import { parentPort, threadId, workerData } from "worker_threads";
+import { ExecutorOptions } from "../messaging/messages";
 import { Executor } from "./executor";
 
 // eslint-disable-next-line no-new
-new Executor(threadId, parentPort!);
+new Executor(threadId, parentPort!, workerData as ExecutorOptions);
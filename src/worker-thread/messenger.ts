@@ -1,7 +1,11 @@
+import { Cloneable } from "@code-engine/types";
 import { MessagePort } from "worker_threads";
-import { cloneError } from "../clone/error";
-import { ImportFileProcessorMessage, ImportModuleMessage, IncomingMessage, Message, ProcessFileMessage } from "../messaging/messages";
+import { cloneError, createError } from "../clone/error";
+import { BroadcastMessage, CancelMessage, ChunkMessage, CreditMessage, ExecMessage, ImportFileProcessorMessage, ImportFilesProcessorMessage, ImportModuleMessage, ImportSerializersMessage, IncomingMessage, InputFileMessage, Message, ProcessAllFilesMessage, ProcessFileMessage, ProcessFilesMessage, ReadMessage, ReloadMessage, ResultMessage, TeardownMessage, UnloadFileProcessorMessage } from "../messaging/messages";
 import { Reply } from "../messaging/replies";
+import { CacheRequest, CallRequest, Request } from "../messaging/requests";
+
+let requestCounter = 0;
 
 
 /**
@@ -10,6 +14,7 @@ import { Reply } from "../messaging/replies";
  */
 export abstract class Messenger {
   private _port: MessagePort;
+  private readonly _requests = new Map<number, PendingRequest>();
 
   public constructor(port: MessagePort) {
     this._port = port;
@@ -21,16 +26,91 @@ export abstract class Messenger {
    */
   public abstract async importFileProcessor(message: IncomingMessage & ImportFileProcessorMessage): Promise<void>;
 
+  /**
+   * Imports the specified `FilesProcessor` module.
+   */
+  public abstract async importFilesProcessor(message: IncomingMessage & ImportFilesProcessorMessage): Promise<void>;
+
   /**
    * Imports the specified JavaScript module.
    */
   public abstract async importModule(message: IncomingMessage & ImportModuleMessage): Promise<void>;
 
+  /**
+   * Imports the specified serializers module.
+   */
+  public abstract async importSerializers(message: IncomingMessage & ImportSerializersMessage): Promise<void>;
+
+  /**
+   * Removes the specified `FileProcessor` and its module from memory.
+   */
+  public abstract unloadFileProcessor(message: IncomingMessage & UnloadFileProcessorMessage): void;
+
+  /**
+   * Starts using the new version of a module that was reloaded.
+   */
+  public abstract commitReload(message: IncomingMessage & ReloadMessage): void;
+
+  /**
+   * Discards the new version of a module that was reloaded, and keeps using the old version.
+   */
+  public abstract abortReload(message: IncomingMessage & ReloadMessage): void;
+
   /**
    * Processes a file using the specified plugin.
    */
   public abstract async processFile(message: IncomingMessage & ProcessFileMessage): Promise<void>;
 
+  /**
+   * Processes a batch of files, replying to each file separately.
+   */
+  public abstract async processFiles(message: IncomingMessage & ProcessFilesMessage): Promise<void>;
+
+  /**
+   * Processes all files at once using the specified plugin.
+   */
+  public abstract async processAllFiles(message: IncomingMessage & ProcessAllFilesMessage): Promise<void>;
+
+  /**
+   * Adds the next input file to a `processAllFiles` message.
+   */
+  public abstract inputFile(message: IncomingMessage & InputFileMessage): void;
+
+  /**
+   * Calls a function that is exported by a module.
+   */
+  public abstract async exec(message: IncomingMessage & ExecMessage): Promise<void>;
+
+  /**
+   * Adds the next chunk of a file's contents to its stream.
+   */
+  public abstract chunk(message: IncomingMessage & ChunkMessage): void;
+
+  /**
+   * Allows a `processFile` message to send the next chunk of an output file's contents.
+   */
+  public abstract read(message: IncomingMessage & ReadMessage): void;
+
+  /**
+   * Allows a `processFile` message to send more output files.
+   */
+  public abstract credit(message: IncomingMessage & CreditMessage): void;
+
+  /**
+   * Stops working on a message that the `Worker` is no longer waiting for.
+   */
+  public abstract cancel(message: IncomingMessage & CancelMessage): void;
+
+  /**
+   * Calls the `teardown` export of every module that has been imported.
+   */
+  public abstract async teardown(message: IncomingMessage & TeardownMessage): Promise<void>;
+
+  /**
+   * Delivers data to every module that subscribes to the channel.
+   */
+  public abstract async broadcast(message: IncomingMessage & BroadcastMessage): Promise<void>;
+
   /**
    * Replies to a message from the `Worker`.
    */
@@ -38,6 +118,37 @@ export abstract class Messenger {
     this._port.postMessage(reply, transferList);
   }
 
+  /**
+   * Sends a request to the `Worker` and returns a promise that resolves with the result.
+   * If the request fails, then the promise will reject.
+   */
+  public async postRequest(request: CallRequest | CacheRequest): Promise<Cloneable> {
+    let id = ++requestCounter;
+
+    return new Promise<Cloneable>((resolve, reject) => {
+      this._requests.set(id, { resolve, reject });
+      this._port.postMessage({ ...request, id } as Request);
+    });
+  }
+
+  /**
+   * Settles a pending request with the result from the `Worker`.
+   */
+  private _handleResult(message: ResultMessage) {
+    let request = this._requests.get(message.requestId);
+
+    if (request) {
+      this._requests.delete(message.requestId);
+
+      if (!("error" in message)) {
+        request.resolve(message.value);
+      }
+      else {
+        request.reject(createError(message.error!));
+      }
+    }
+  }
+
   /**
    * Handles incoming messages from the `Worker`.
    */
@@ -48,13 +159,77 @@ export abstract class Messenger {
           await this.importFileProcessor(message);
           break;
 
+        case "importFilesProcessor":
+          await this.importFilesProcessor(message);
+          break;
+
         case "importModule":
           await this.importModule(message);
           break;
 
+        case "importSerializers":
+          await this.importSerializers(message);
+          break;
+
+        case "unloadFileProcessor":
+          this.unloadFileProcessor(message);
+          break;
+
+        case "commitReload":
+          this.commitReload(message);
+          break;
+
+        case "abortReload":
+          this.abortReload(message);
+          break;
+
         case "processFile":
           await this.processFile(message);
           break;
+
+        case "processFiles":
+          await this.processFiles(message);
+          break;
+
+        case "processAllFiles":
+          await this.processAllFiles(message);
+          break;
+
+        case "inputFile":
+          this.inputFile(message);
+          break;
+
+        case "exec":
+          await this.exec(message);
+          break;
+
+        case "chunk":
+          this.chunk(message);
+          break;
+
+        case "read":
+          this.read(message);
+          break;
+
+        case "credit":
+          this.credit(message);
+          break;
+
+        case "cancel":
+          this.cancel(message);
+          break;
+
+        case "teardown":
+          await this.teardown(message);
+          break;
+
+        case "broadcast":
+          await this.broadcast(message);
+          break;
+
+        case "result":
+          this._handleResult(message);
+          break;
       }
     }
     catch (error) {
@@ -63,3 +238,12 @@ export abstract class Messenger {
     }
   }
 }
+
+
+/**
+ * A request that was sent from an `Executor` to a `Worker` and is waiting for a result.
+ */
+interface PendingRequest {
+  resolve(value: Cloneable): void;
+  reject(reason: unknown): void;
+}
@@ -0,0 +1,85 @@
+import { File } from "@code-engine/types";
+import { ono } from "@jsdevtools/ono";
+import { Readable } from "stream";
+
+/**
+ * A file whose contents are larger than the `streamThreshold` option, so they're streamed to the
+ * worker thread in chunks. Plugins read the contents from `contentStream`. Reading `contents` or
+ * `text` throws an error, unless the plugin has replaced them.
+ */
+export interface StreamedFile extends File {
+  /**
+   * A readable stream of the file's contents.
+   */
+  readonly contentStream: Readable;
+}
+
+
+/**
+ * The state of each `StreamedFile`, keyed by the file that plugins see.
+ */
+const streamedFiles = new WeakMap<object, StreamedFileState>();
+
+
+/**
+ * The state of a `StreamedFile`.
+ */
+interface StreamedFileState {
+  /**
+   * The underlying `File` object, whose contents are empty.
+   */
+  file: File;
+
+  /**
+   * Indicates whether the plugin has replaced the streamed contents.
+   */
+  replaced: boolean;
+}
+
+
+/**
+ * Wraps the given file so its contents are read from the given stream.
+ * @internal
+ */
+export function createStreamedFile(file: File, size: number, stream: Readable): StreamedFile {
+  let state: StreamedFileState = { file, replaced: false };
+  Object.defineProperty(file, "contentStream", { value: stream });
+
+  let streamedFile = new Proxy(file, {
+    get(target, key, receiver) {
+      if (!state.replaced) {
+        if (key === "contents" || key === "text") {
+          throw ono({ path: target.path },
+            `Cannot read the contents of ${target.path} because they're streamed. Read file.contentStream instead.`);
+        }
+        else if (key === "size") {
+          return size;
+        }
+      }
+
+      return Reflect.get(target, key, receiver) as unknown;
+    },
+
+    set(target, key, value, receiver) {
+      if (key === "contents" || key === "text") {
+        state.replaced = true;
+      }
+
+      return Reflect.set(target, key, value, receiver);
+    },
+  }) as StreamedFile;
+
+  streamedFiles.set(streamedFile, state);
+  return streamedFile;
+}
+
+
+/**
+ * If the given value is a `StreamedFile` whose contents weren't replaced, then this returns the
+ * underlying `File` object, so the rest of the file can be read without its contents.
+ * @internal
+ */
+export function getUnchangedFile(value: unknown): File | undefined {
+  let state = streamedFiles.get(value as object);
+  return state && !state.replaced ? state.file : undefined;
+}
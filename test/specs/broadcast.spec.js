@@ -0,0 +1,215 @@
+"use strict";
+
+const WorkerPool = require("../utils/worker-pool");
+const createModule = require("../utils/create-module");
+const createRun = require("../utils/create-run");
+const createEngine = require("../utils/create-engine");
+const { createFile } = require("@code-engine/utils");
+const { assert, expect } = require("chai");
+const { promises: fs } = require("fs");
+const { join } = require("path");
+
+describe("WorkerPool.broadcast()", () => {
+  let engine, run, pool;
+
+  beforeEach("create a new WorkerPool and Run", () => {
+    engine = createEngine({ concurrency: 2 });
+    run = createRun(engine);
+    pool = WorkerPool.create(engine);
+  });
+
+  /**
+   * Creates a FileProcessor module that outputs the latest config that it received
+   */
+  function createConfigModule () {
+    return createModule(
+      'let config = "none";\n' +
+      "exports.default = async (file) => {\n" +
+      "  await new Promise((resolve) => setTimeout(resolve, 50));\n" +
+      '  file.text = config + " " + require("worker_threads").threadId;\n' +
+      "  return file;\n" +
+      "};\n" +
+      "exports.subscriptions = {\n" +
+      "  async config (data) {\n" +
+      "    await new Promise((resolve) => setTimeout(resolve, 50));\n" +
+      "    config = data.value;\n" +
+      "  },\n" +
+      "};\n"
+    );
+  }
+
+  async function processTexts (processFile, count = 2) {
+    let results = await Promise.all(new Array(count).fill(0).map(async () => {
+      let { value } = await processFile(createFile({ path: "file.txt" }), run).next();
+      return createFile(value).text.split(" ");
+    }));
+    return results.sort((a, b) => a[1] - b[1]);
+  }
+
+  it("should deliver data to every worker", async () => {
+    let processFile = await pool.importFileProcessor(await createConfigModule());
+
+    let before = await processTexts(processFile);
+    expect(before[0][0]).to.equal("none");
+    expect(before[1][0]).to.equal("none");
+    expect(before[0][1]).not.to.equal(before[1][1]);
+
+    await pool.broadcast("config", { value: "updated" });
+
+    let after = await processTexts(processFile);
+    expect(after[0][0]).to.equal("updated");
+    expect(after[1][0]).to.equal("updated");
+    expect(after[0][1]).not.to.equal(after[1][1]);
+  });
+
+  it("should deliver data to modules that were imported via importModule()", async () => {
+    let moduleId = await createModule(
+      "exports.subscriptions = {\n" +
+      "  greeting: (data) => global.greeting = data,\n" +
+      "};\n"
+    );
+    let processorId = await createModule((file) => {
+      file.text = global.greeting;
+      return file;
+    });
+
+    await pool.importModule(moduleId);
+    let processFile = await pool.importFileProcessor(processorId);
+    await pool.broadcast("greeting", "Hello, world!");
+
+    let { value } = await processFile(createFile({ path: "file.txt" }), run).next();
+    expect(createFile(value).text).to.equal("Hello, world!");
+  });
+
+  it("should ignore modules that don't subscribe to the channel", async () => {
+    let processFile = await pool.importFileProcessor(await createConfigModule());
+    await pool.importModule(await createModule("module.exports = () => undefined;"));
+
+    await pool.broadcast("something-else", { value: "ignored" });
+
+    let results = await processTexts(processFile);
+    expect(results[0][0]).to.equal("none");
+    expect(results[1][0]).to.equal("none");
+  });
+
+  it("should send the latest data to workers that are started later", async () => {
+    pool = WorkerPool.create(engine, { recycleAfterTasks: 1 });
+    let processFile = await pool.importFileProcessor(await createConfigModule());
+
+    await pool.broadcast("config", { value: "v1" });
+    await pool.broadcast("config", { value: "v2" });
+
+    // Each worker is replaced after processing a file
+    let first = await processTexts(processFile);
+    let second = await processTexts(processFile);
+
+    expect(first.map(([value]) => value)).to.deep.equal(["v2", "v2"]);
+    expect(second.map(([value]) => value)).to.deep.equal(["v2", "v2"]);
+    expect(second[0][1]).not.to.equal(first[0][1]);
+  });
+
+  it("should deliver data to a module whose other exports were unloaded", async () => {
+    let moduleId = await createModule(
+      'let config = "none";\n' +
+      'exports.a = (file) => (file.text = "a " + config, file);\n' +
+      'exports.b = (file) => (file.text = "b " + config, file);\n' +
+      "exports.subscriptions = {\n" +
+      "  cfg: (data) => config = data,\n" +
+      "};\n"
+    );
+
+    let a = await pool.importFileProcessor(`${moduleId}#a`);
+    let b = await pool.importFileProcessor(`${moduleId}#b`);
+    await pool.unloadFileProcessor(a);
+    await pool.broadcast("cfg", "updated");
+
+    let { value } = await b(createFile({ path: "file.txt" }), run).next();
+    expect(createFile(value).text).to.equal("b updated");
+  });
+
+  it("should import modules in workers that are replaying broadcasts when the modules are imported", async () => {
+    let logFile = join(await createModule(""), "broadcast.log");
+    engine = createEngine({ concurrency: 1 });
+    pool = WorkerPool.create(engine, { maxWorkers: 2 });
+
+    // Each worker logs when it starts handling the broadcast, and then takes a while to finish
+    let slowId = await createModule(
+      "exports.default = async (file) => {\n" +
+      "  await new Promise((resolve) => setTimeout(resolve, 100));\n" +
+      "  return file;\n" +
+      "};\n" +
+      "exports.subscriptions = {\n" +
+      "  async config () {\n" +
+      `    require("fs").appendFileSync(${JSON.stringify(logFile)}, "handling\\n");\n` +
+      "    await new Promise((resolve) => setTimeout(resolve, 300));\n" +
+      "  },\n" +
+      "};\n"
+    );
+    let slow = await pool.importFileProcessor(slowId);
+    await pool.broadcast("config", "v1");
+
+    // A second file starts a second worker, which replays the broadcast
+    let files = Promise.all([1, 2].map((i) => slow(createFile({ path: `file${i}.txt` }), run).next()));
+    while ((await fs.readFile(logFile, "utf8")).split("\n").length < 3) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    // Import a module while the second worker is still replaying the broadcast
+    let processFile = await pool.importFileProcessor(await createModule(async (file) => {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      file.text = String(require("worker_threads").threadId);
+      return file;
+    }));
+    await files;
+
+    // Wait for the second worker to join the pool
+    while (pool.size < 2) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    let results = await Promise.all([1, 2].map((i) => processFile(createFile({ path: `file${i}.txt` }), run).next()));
+
+    expect(createFile(results[0].value).text).not.to.equal(createFile(results[1].value).text);
+  });
+
+  it("should reject with the errors from each worker", async () => {
+    let moduleId = await createModule(
+      "exports.subscriptions = {\n" +
+      '  config () { throw new RangeError("Invalid config"); },\n' +
+      "};\n"
+    );
+    await pool.importModule(moduleId);
+
+    try {
+      await pool.broadcast("config", {});
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.equal('2 of 2 CodeEngine workers failed to handle the "config" broadcast.');
+      expect(error.channel).to.equal("config");
+      expect(error.errors).to.have.lengthOf(2);
+
+      for (let workerError of error.errors) {
+        expect(workerError).to.be.an.instanceOf(RangeError);
+        expect(workerError.message).to.equal(`Error handling the "config" broadcast in module: ${moduleId} \nInvalid config`);
+        expect(workerError.workerId).to.be.a("number");
+        expect(workerError.moduleId).to.equal(moduleId);
+      }
+
+      expect(error.errors[0].workerId).not.to.equal(error.errors[1].workerId);
+    }
+  });
+
+  it("should throw an error if the channel is invalid", async () => {
+    try {
+      await pool.broadcast("");
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.equal('Invalid channel: "". It cannot be empty.');
+    }
+  });
+
+});
@@ -391,9 +391,9 @@ async function testClone (data, mutate = () => undefined) {
   let generator = processFile(file, run);
   let result = await generator.next();
 
-  // Get the un-mutated cloned data that was logged
+  // Get the un-mutated cloned data that was logged, without the worker, module, and path that were added to it
   sinon.assert.calledOnce(run.log.info);
-  let cloned = run.log.info.firstCall.args[1];
+  let { workerId, moduleId, path, ...cloned } = run.log.info.firstCall.args[1];
 
   // Get the mutated cloned data that was returned
   let mutated = result.value.metadata;
@@ -0,0 +1,252 @@
+"use strict";
+
+const WorkerPool = require("../utils/worker-pool");
+const createModule = require("../utils/create-module");
+const createEngine = require("../utils/create-engine");
+const { assert, expect } = require("chai");
+const sinon = require("sinon");
+
+describe("WorkerPool.exec()", () => {
+  let engine, pool;
+
+  beforeEach("create a new WorkerPool", () => {
+    engine = createEngine({ concurrency: 2 });
+    pool = WorkerPool.create(engine);
+  });
+
+  /**
+   * Reads all of the values from an async iterable into an array
+   */
+  async function readAll (iterable) {
+    let values = [];
+    for await (let value of iterable) {
+      values.push(value);
+    }
+    return values;
+  }
+
+  it("should call a named export with the given arguments and return its result", async () => {
+    let moduleId = await createModule("exports.add = (a, b) => a + b;");
+    let result = await pool.exec(moduleId, "add", [2, 3]);
+    expect(result).to.equal(5);
+  });
+
+  it("should call the default export", async () => {
+    let moduleId = await createModule((name) => `Hello, ${name}!`);
+    let result = await pool.exec(moduleId, "default", ["World"]);
+    expect(result).to.equal("Hello, World!");
+  });
+
+  it("should call a function without arguments", async () => {
+    let moduleId = await createModule("exports.threadId = () => require('worker_threads').threadId;");
+    let result = await pool.exec(moduleId, "threadId");
+    expect(result).to.be.a("number").above(0);
+  });
+
+  it("should wait for async functions", async () => {
+    let moduleId = await createModule(`
+      exports.hash = async (text) => {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        return require("crypto").createHash("sha1").update(text).digest("hex");
+      };
+    `);
+
+    let result = await pool.exec(moduleId, "hash", ["hello"]);
+    expect(result).to.equal("aaf4c61ddcc5e8a2dabede0f3b482cd9aea9434d");
+  });
+
+  it("should return arrays and objects as a whole", async () => {
+    let moduleId = await createModule("exports.index = (words) => ({ words: words.sort(), count: words.length });");
+    let result = await pool.exec(moduleId, "index", [["b", "c", "a"]]);
+    expect(result).to.deep.equal({ words: ["a", "b", "c"], count: 3 });
+  });
+
+  it("should return an async iterable of the values that a generator yields", async () => {
+    let moduleId = await createModule(`
+      exports.range = function* (count) {
+        for (let i = 0; i < count; i++) {
+          yield i;
+        }
+      };
+    `);
+
+    let result = await pool.exec(moduleId, "range", [4]);
+    expect(result).to.have.property(Symbol.asyncIterator).that.is.a("function");
+    expect(await readAll(result)).to.deep.equal([0, 1, 2, 3]);
+  });
+
+  it("should return an async iterable of the values that an async generator yields", async () => {
+    let moduleId = await createModule(`
+      exports.diff = async function* (a, b) {
+        for (let i = 0; i < a.length; i++) {
+          await Promise.resolve();
+          if (a[i] !== b[i]) {
+            yield { index: i, a: a[i], b: b[i] };
+          }
+        }
+      };
+    `);
+
+    let result = await pool.exec(moduleId, "diff", ["abcdef", "abXdeY"]);
+    expect(await readAll(result)).to.deep.equal([
+      { index: 2, a: "c", b: "X" },
+      { index: 5, a: "f", b: "Y" },
+    ]);
+  });
+
+  it("should return an empty async iterable if a generator doesn't yield anything", async () => {
+    let moduleId = await createModule("exports.nothing = function* () {};");
+    let result = await pool.exec(moduleId, "nothing");
+    expect(await readAll(result)).to.deep.equal([]);
+  });
+
+  it("should end the function's task if the async iterable is returned before it's read", async () => {
+    let moduleId = await createModule(`
+      exports.count = function* () {
+        for (let i = 0; ; i++) {
+          yield i;
+        }
+      };
+    `);
+
+    let result = await pool.exec(moduleId, "count");
+    await result.return();
+
+    // The function never finishes, so this would wait forever if its task was still running
+    await pool.dispose({ graceful: true });
+  });
+
+  it("should end the function's task if the async iterable is never read", async function () {
+    if (typeof FinalizationRegistry !== "function") {
+      // Node 12 can't tell when the iterable is garbage-collected
+      this.skip();
+    }
+
+    let moduleId = await createModule(`
+      exports.count = function* () {
+        for (let i = 0; ; i++) {
+          yield i;
+        }
+      };
+    `);
+
+    // Call the function, but drop the async iterable without reading it
+    await pool.exec(moduleId, "count");
+
+    require("v8").setFlagsFromString("--expose-gc");
+    let gc = require("vm").runInNewContext("gc");
+
+    let tasksInFlight = () => pool.stats().workers.reduce((sum, worker) => sum + worker.tasksInFlight, 0);
+
+    for (let i = 0; i < 10 && tasksInFlight() > 0; i++) {
+      gc();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+
+    expect(tasksInFlight()).to.equal(0);
+    await pool.dispose({ graceful: true });
+  });
+
+  it("should provide a WorkerContext as the function's `this`", async () => {
+    let moduleId = await createModule(`
+      exports.context = function () {
+        this.log.info("Hello from the worker", { some: "data" });
+        return { cwd: this.cwd, dev: this.dev, hasCache: typeof this.cache.get === "function" };
+      };
+    `);
+
+    let result = await pool.exec(moduleId, "context");
+
+    expect(result).to.deep.equal({ cwd: engine.cwd, dev: false, hasCache: true });
+    sinon.assert.calledWithExactly(engine.log.info, "Hello from the worker",
+      { some: "data", workerId: sinon.match.number, moduleId: `${moduleId}#context` });
+  });
+
+  it("should re-throw errors from the function", async () => {
+    let moduleId = await createModule('exports.fail = () => { throw new RangeError("Out of range"); };');
+
+    try {
+      await pool.exec(moduleId, "fail");
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(RangeError);
+      expect(error.message).to.equal("Out of range");
+    }
+  });
+
+  it("should track each function in the stats", async () => {
+    let moduleId = await createModule("exports.add = (a, b) => a + b;");
+    await pool.exec(moduleId, "add", [1, 2]);
+    await pool.exec(moduleId, "add", [3, 4]);
+
+    let stats = pool.stats().modules.find((module) => module.moduleId === `${moduleId}#add`);
+    expect(stats).to.include({ tasksCompleted: 2, tasksFailed: 0 });
+  });
+
+  it("should throw an error if the export doesn't exist", async () => {
+    let moduleId = await createModule("exports.add = (a, b) => a + b;");
+
+    try {
+      await pool.exec(moduleId, "subtract", [1, 2]);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        `Error importing module: ${moduleId} \n` +
+        'The module has no export named "subtract".');
+    }
+  });
+
+  it("should throw an error if the export isn't a function", async () => {
+    let moduleId = await createModule("exports.version = 42;");
+
+    try {
+      await pool.exec(moduleId, "version");
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        `Error importing module: ${moduleId} \n` +
+        'The module exported 42 as "version". Expected a function.');
+    }
+  });
+
+  it("should throw an error if the export name is invalid", async () => {
+    try {
+      await pool.exec("./my-module.js", "  ");
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.equal('Invalid export name: "  ". It cannot be all whitespace.');
+    }
+  });
+
+  it("should throw an error if the arguments aren't an array", async () => {
+    try {
+      await pool.exec("./my-module.js", "add", 42);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal("Invalid arguments: 42. Expected an array.");
+    }
+  });
+
+  it("should throw an error if the WorkerPool has been disposed", async () => {
+    await pool.dispose();
+
+    try {
+      await pool.exec("./my-module.js", "add", [1, 2]);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.equal("CodeEngine cannot be used after it has been disposed.");
+    }
+  });
+
+});
@@ -6,6 +6,8 @@ const createRun = require("../utils/create-run");
 const createEngine = require("../utils/create-engine");
 const { createFile } = require("@code-engine/utils");
 const { assert, expect } = require("chai");
+const { promises: fs } = require("fs");
+const { join } = require("path");
 
 describe("WorkerPool.importFileProcessor()", () => {
   let run, pool;
@@ -80,6 +82,164 @@ describe("WorkerPool.importFileProcessor()", () => {
     expect(file.text).to.equal("ECMAScript module with data");
   });
 
+  it("should import a native ECMAScript module with an .mjs extension", async () => {
+    let moduleId = await createModule(
+      'export default function esm (file) { file.text = "Hi, from native ESM!"; return file; }', "index.mjs");
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    let generator = processFile(createFile({ path: "file.txt" }), run);
+    let { value } = await generator.next();
+    let file = createFile(value);
+
+    expect(processFile.name).to.equal("esm");
+    expect(file.text).to.equal("Hi, from native ESM!");
+  });
+
+  it('should import a native ECMAScript module in a "type": "module" package', async () => {
+    let moduleId = await createModule("export default (data) => (file) => (file.text = data, file)");
+    await fs.writeFile(join(moduleId, "package.json"), '{ "type": "module" }');
+
+    let processFile = await pool.importFileProcessor(moduleId, "Native ESM with data");
+    let generator = processFile(createFile({ path: "file.txt" }), run);
+    let { value } = await generator.next();
+    let file = createFile(value);
+
+    expect(file.text).to.equal("Native ESM with data");
+  });
+
+  it('should use require() for all modules if moduleType is "commonjs"', async () => {
+    let engine = createEngine();
+    pool = WorkerPool.create(engine, { moduleType: "commonjs" });
+
+    // Newer versions of Node can require() some ES modules, but never ones that use top-level await
+    let moduleId = await createModule("await Promise.resolve();\nexport default (file) => file", "index.mjs");
+
+    try {
+      await pool.importFileProcessor(moduleId);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.code).to.be.oneOf(["ERR_REQUIRE_ESM", "ERR_REQUIRE_ASYNC_MODULE"]);
+      expect(error.moduleId).to.equal(moduleId);
+    }
+  });
+
+  it('should use import() for all modules if moduleType is "module"', async () => {
+    let engine = createEngine();
+    pool = WorkerPool.create(engine, { moduleType: "module" });
+
+    // CommonJS modules can be loaded via import() too. Their exports become the default export.
+    let moduleId = await createModule((file) => {
+      file.text = "Imported";
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+    let generator = processFile(createFile({ path: "file.txt" }), run);
+    let { value } = await generator.next();
+    let file = createFile(value);
+
+    expect(file.text).to.equal("Imported");
+  });
+
+  it("should throw an error if a native ECMAScript module doesn't have a default export", async () => {
+    let moduleId = await createModule("export function processFile (file) { return file; }", "index.mjs");
+
+    try {
+      await pool.importFileProcessor(moduleId);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        `Error importing module: ${moduleId} \n` +
+        "CodeEngine plugin modules must export a function.");
+    }
+  });
+
+  it("should throw an error if moduleType is invalid", async () => {
+    let engine = createEngine();
+
+    expect(() => WorkerPool.create(engine, { moduleType: "esm" })).to.throw(
+      'Invalid moduleType: "esm". Expected "auto", "commonjs", or "module".'
+    );
+  });
+
+  it("should import a named export", async () => {
+    let moduleId = await createModule(
+      "exports.upper = function upper (file) { file.text = file.text.toUpperCase(); return file; };\n" +
+      "exports.lower = function lower (file) { file.text = file.text.toLowerCase(); return file; };");
+
+    let processFile = await pool.importFileProcessor(`${moduleId}#lower`);
+    let generator = processFile(createFile({ path: "file.txt", text: "Hello, World" }), run);
+    let { value } = await generator.next();
+    let file = createFile(value);
+
+    expect(processFile.name).to.equal("lower");
+    expect(file.text).to.equal("hello, world");
+  });
+
+  it("should import a module whose path contains a \"#\" rather than a named export", async () => {
+    let dir = await createModule("");
+    let moduleId = join(dir, "plugin#lower");
+    await fs.mkdir(moduleId);
+    await fs.writeFile(join(moduleId, "index.js"),
+      "module.exports = function upper (file) { file.text = file.text.toUpperCase(); return file; };");
+    await fs.writeFile(join(dir, "plugin.js"),
+      "exports.lower = function lower (file) { file.text = file.text.toLowerCase(); return file; };");
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    let generator = processFile(createFile({ path: "file.txt", text: "Hello, World" }), run);
+    let { value } = await generator.next();
+    let file = createFile(value);
+
+    expect(processFile.name).to.equal("upper");
+    expect(file.text).to.equal("HELLO, WORLD");
+  });
+
+  it("should import a named export of a native ECMAScript module with data", async () => {
+    let moduleId = await createModule(
+      "export default () => { throw new Error('The default export should not be called'); };\n" +
+      "export const greet = (data) => (file) => (file.text = data + ', ' + file.text, file);", "index.mjs");
+
+    let processFile = await pool.importFileProcessor(`${moduleId}#greet`, "Hello");
+    let generator = processFile(createFile({ path: "file.txt", text: "World" }), run);
+    let { value } = await generator.next();
+    let file = createFile(value);
+
+    expect(file.text).to.equal("Hello, World");
+  });
+
+  it("should throw an error if the named export doesn't exist", async () => {
+    let moduleId = await createModule("exports.upper = (file) => file;");
+
+    try {
+      await pool.importFileProcessor(`${moduleId}#lower`);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        `Error importing module: ${moduleId} \n` +
+        'The module has no export named "lower". CodeEngine plugin modules must export a function.');
+    }
+  });
+
+  it("should throw an error if the named export isn't a function", async () => {
+    let moduleId = await createModule('exports.lower = "lowercase";');
+
+    try {
+      await pool.importFileProcessor(`${moduleId}#lower`);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        `Error importing module: ${moduleId} \n` +
+        'The module exported "lowercase" as "lower". CodeEngine plugin modules must export a function.');
+    }
+  });
+
   it("should import an asynchronous module", async () => {
     async function fileProcessor (file) {
       let before = Date.now();
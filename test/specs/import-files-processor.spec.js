@@ -0,0 +1,263 @@
+"use strict";
+
+const WorkerPool = require("../utils/worker-pool");
+const createModule = require("../utils/create-module");
+const createRun = require("../utils/create-run");
+const createEngine = require("../utils/create-engine");
+const { createFile } = require("@code-engine/utils");
+const { assert, expect } = require("chai");
+const sinon = require("sinon");
+
+describe("WorkerPool.importFilesProcessor()", () => {
+  let run, pool;
+
+  beforeEach("create a new WorkerPool and Run", () => {
+    let engine = createEngine();
+    run = createRun(engine);
+    pool = WorkerPool.create(engine);
+  });
+
+  /**
+   * Yields the given files asynchronously, like the files from a previous plugin
+   */
+  async function* inputFiles (...files) {
+    for (let file of files) {
+      await Promise.resolve();
+      yield createFile(file);
+    }
+  }
+
+  /**
+   * Reads all of the output files into an array
+   */
+  async function readAll (output) {
+    let files = [];
+    for await (let file of output) {
+      files.push(createFile(file));
+    }
+    return files;
+  }
+
+  it("should import a FilesProcessor and return a proxy function", async () => {
+    let moduleId = await createModule(async function* bundle (files) {
+      yield* files;
+    });
+    let processFiles = await pool.importFilesProcessor(moduleId);
+
+    expect(processFiles).to.be.a("function");
+    expect(processFiles.name).to.equal("bundle");
+  });
+
+  it("should process files from a FileProcessor on the same worker", async () => {
+    let engine = createEngine({ concurrency: 1 });
+    pool = WorkerPool.create(engine);
+
+    let moduleId = await createModule(
+      "exports.a = (file) => (file.text = file.text.toUpperCase(), file);\n"
+    );
+    let bundleId = await createModule(async (files) => {
+      let text = "";
+      for await (let file of files) {
+        text += file.text;
+      }
+      return { path: "bundle.txt", text };
+    });
+
+    let processFile = await pool.importFileProcessor(`${moduleId}#a`);
+    let processFiles = await pool.importFilesProcessor(bundleId);
+
+    // The input files are processed by the FileProcessor while the FilesProcessor is reading them
+    async function* processedFiles () {
+      for await (let file of inputFiles({ path: "file1.txt", text: "one," }, { path: "file2.txt", text: "two" })) {
+        for await (let processed of processFile(file, run)) {
+          yield createFile(processed);
+        }
+      }
+    }
+
+    let output = await readAll(processFiles(processedFiles(), run));
+
+    expect(pool.size).to.equal(1);
+    expect(pool.stats().queued).to.equal(0);
+    expect(output).to.have.lengthOf(1);
+    expect(output[0].text).to.equal("ONE,TWO");
+  });
+
+  it("should process all of the files at once", async () => {
+    let moduleId = await createModule(async (files) => {
+      let paths = [], text = "";
+      for await (let file of files) {
+        paths.push(file.path);
+        text += file.text;
+      }
+      return { path: "bundle.txt", text, metadata: { paths }};
+    });
+    let processFiles = await pool.importFilesProcessor(moduleId);
+
+    let output = await readAll(processFiles(inputFiles(
+      { path: "file1.txt", text: "one," },
+      { path: "file2.txt", text: "two," },
+      { path: "file3.txt", text: "three" },
+    ), run));
+
+    expect(output).to.have.lengthOf(1);
+    expect(output[0].path).to.equal("bundle.txt");
+    expect(output[0].text).to.equal("one,two,three");
+    expect(output[0].metadata).to.deep.equal({ paths: ["file1.txt", "file2.txt", "file3.txt"]});
+  });
+
+  it("should stream output files while input files are still being read", async () => {
+    let moduleId = await createModule(async function* (files) {
+      for await (let file of files) {
+        file.text = file.text.toUpperCase();
+        yield file;
+      }
+    });
+    let processFiles = await pool.importFilesProcessor(moduleId);
+
+    let output = await readAll(processFiles(inputFiles(
+      { path: "file1.txt", text: "one" },
+      { path: "file2.txt", text: "two" },
+    ), run));
+
+    expect(output.map((file) => file.text)).to.deep.equal(["ONE", "TWO"]);
+  });
+
+  it("should only read input files when the plugin requests them", async () => {
+    let moduleId = await createModule(async (files) => {
+      let iterator = files[Symbol.asyncIterator]();
+      let { value } = await iterator.next();
+      return { path: "first.txt", text: value.path };
+    });
+    let processFiles = await pool.importFilesProcessor(moduleId);
+
+    let reads = 0;
+    async function* countReads () {
+      for (let i = 1; i <= 5; i++) {
+        reads++;
+        yield createFile({ path: `file${i}.txt` });
+      }
+    }
+
+    let output = await readAll(processFiles(countReads(), run));
+
+    expect(output[0].text).to.equal("file1.txt");
+    expect(reads).to.equal(1);
+  });
+
+  it("should support FilesProcessors that don't read any files", async () => {
+    let moduleId = await createModule(() => ({ path: "robots.txt", text: "User-agent: *" }));
+    let processFiles = await pool.importFilesProcessor(moduleId);
+
+    let output = await readAll(processFiles(inputFiles({ path: "file.txt" }), run));
+
+    expect(output).to.have.lengthOf(1);
+    expect(output[0].text).to.equal("User-agent: *");
+  });
+
+  it("should call a factory function with the given data", async () => {
+    let moduleId = await createModule((data) => async function* (files) {
+      for await (let file of files) {
+        file.text = data.prefix + file.text;
+        yield file;
+      }
+    });
+    let processFiles = await pool.importFilesProcessor(moduleId, { prefix: ">> " });
+
+    let output = await readAll(processFiles(inputFiles({ path: "file.txt", text: "hello" }), run));
+
+    expect(output[0].text).to.equal(">> hello");
+  });
+
+  it("should throw errors from the input files in the worker thread", async () => {
+    let moduleId = await createModule(async (files) => {
+      try {
+        for await (let file of files) {
+          file.text = "";
+        }
+      }
+      catch (error) {
+        return { path: "error.txt", text: error.message };
+      }
+    });
+    let processFiles = await pool.importFilesProcessor(moduleId);
+
+    async function* brokenInput () {
+      yield createFile({ path: "file1.txt" });
+      throw new Error("Boom!");
+    }
+
+    let output = await readAll(processFiles(brokenInput(), run));
+
+    expect(output[0].text).to.equal("Boom!");
+  });
+
+  it("should reject if the FilesProcessor throws an error", async () => {
+    let moduleId = await createModule(async (files) => {
+      for await (let file of files) {
+        throw new SyntaxError(`Cannot parse ${file.path}`);
+      }
+    });
+    let processFiles = await pool.importFilesProcessor(moduleId);
+
+    try {
+      await readAll(processFiles(inputFiles({ path: "file.txt" }), run));
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(SyntaxError);
+      expect(error.message).to.equal("Cannot parse file.txt");
+    }
+  });
+
+  it("should emit taskStart and taskEnd events with a wildcard path", async () => {
+    let taskStart = sinon.spy();
+    let taskEnd = sinon.spy();
+    pool.on("taskStart", taskStart);
+    pool.on("taskEnd", taskEnd);
+
+    let moduleId = await createModule(async function* (files) {
+      yield* files;
+    });
+    let processFiles = await pool.importFilesProcessor(moduleId);
+    await readAll(processFiles(inputFiles({ path: "file1.txt" }, { path: "file2.txt" }), run));
+
+    sinon.assert.calledOnce(taskStart);
+    sinon.assert.calledWithMatch(taskStart, { moduleId, path: "*" });
+    sinon.assert.calledOnce(taskEnd);
+    sinon.assert.calledWithMatch(taskEnd, { moduleId, path: "*", outputCount: 2 });
+  });
+
+  it("should reject files that are processed after unloading", async () => {
+    let moduleId = await createModule(async function* (files) {
+      yield* files;
+    });
+    let processFiles = await pool.importFilesProcessor(moduleId);
+    await pool.unloadFileProcessor(processFiles);
+
+    try {
+      await readAll(processFiles(inputFiles({ path: "file.txt" }), run));
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.equal(`Cannot process files because ${moduleId} has been unloaded.`);
+    }
+  });
+
+  it("should throw an error if the named export isn't a function", async () => {
+    let moduleId = await createModule('exports.sitemap = { path: "sitemap.xml" };');
+
+    try {
+      await pool.importFilesProcessor(`${moduleId}#sitemap`);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        `Error importing module: ${moduleId} \n` +
+        'The module exported {path} as "sitemap". CodeEngine plugin modules must export a function.');
+    }
+  });
+
+});
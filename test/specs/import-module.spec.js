@@ -53,6 +53,59 @@ describe("WorkerPool.importModule()", () => {
     expect(file.text).to.equal("This text came from the factory function");
   });
 
+  it("should call a native ECMAScript module's factory function with data", async () => {
+    let moduleId = await createModule("export default (data) => global.text = data.text;", "index.mjs");
+
+    let processorId = await createModule((file) => {
+      file.text = global.text;
+      return file;
+    });
+
+    await pool.importModule(moduleId, { text: "This text came from an ECMAScript module" });
+    let processFile = await pool.importFileProcessor(processorId);
+
+    let generator = processFile(createFile({ path: "file.txt" }), run);
+    let { value } = await generator.next();
+    let file = createFile(value);
+
+    expect(file.text).to.equal("This text came from an ECMAScript module");
+  });
+
+  it("should call a named export with data", async () => {
+    let moduleId = await createModule(
+      "exports.setText = (data) => global.text = data;\n" +
+      "exports.default = () => global.text = 'The default export should not be called';");
+
+    let processorId = await createModule((file) => {
+      file.text = global.text;
+      return file;
+    });
+
+    await pool.importModule(`${moduleId}#setText`, "This text came from a named export");
+    let processFile = await pool.importFileProcessor(processorId);
+
+    let generator = processFile(createFile({ path: "file.txt" }), run);
+    let { value } = await generator.next();
+    let file = createFile(value);
+
+    expect(file.text).to.equal("This text came from a named export");
+  });
+
+  it("should throw an error if the named export doesn't exist", async () => {
+    let moduleId = await createModule("exports.setText = (data) => global.text = data;");
+
+    try {
+      await pool.importModule(`${moduleId}#getText`);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        `Error importing module: ${moduleId} \n` +
+        'The module has no export named "getText".');
+    }
+  });
+
   it("should call the module's factory function with data", async () => {
     let moduleId = await createModule((data) => global.text = data.text);
 
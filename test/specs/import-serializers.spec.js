@@ -0,0 +1,168 @@
+"use strict";
+
+const WorkerPool = require("../utils/worker-pool");
+const createModule = require("../utils/create-module");
+const createRun = require("../utils/create-run");
+const createEngine = require("../utils/create-engine");
+const { createFile } = require("@code-engine/utils");
+const { assert, expect } = require("chai");
+
+describe("WorkerPool.importSerializers()", () => {
+  let run, pool;
+
+  beforeEach("create a new WorkerPool and Run", () => {
+    let engine = createEngine({ concurrency: 1 });
+    run = createRun(engine);
+    pool = WorkerPool.create(engine);
+  });
+
+  function createSerializers () {
+    return createModule(
+      "module.exports = [\n" +
+      "  {\n" +
+      '    tag: "URL",\n' +
+      "    test: (value) => value instanceof URL,\n" +
+      "    serialize: (url) => url.href,\n" +
+      "    deserialize: (href) => new URL(href),\n" +
+      "  },\n" +
+      "  {\n" +
+      '    tag: "Point",\n' +
+      '    test: (value) => value && value.constructor && value.constructor.name === "Point",\n' +
+      "    serialize: (point) => [point.x, point.y],\n" +
+      "    deserialize: ([x, y]) => new (require(__filename).Point)(x, y),\n" +
+      "  },\n" +
+      "];\n" +
+      "module.exports.Point = class Point { constructor (x, y) { this.x = x; this.y = y; } };\n"
+    );
+  }
+
+  it("should send registered types in file metadata to the worker and back", async () => {
+    await pool.importSerializers(await createSerializers());
+
+    let moduleId = await createModule((file) => {
+      let url = file.metadata.url;
+      file.metadata = {
+        received: url instanceof URL,
+        url: new URL("page.html", url),
+        urls: [url, url],
+      };
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    let file = createFile({ path: "file.txt", metadata: { url: new URL("http://example.com/") }});
+    let { value } = await processFile(file, run).next();
+
+    expect(value.metadata.received).to.equal(true);
+    expect(value.metadata.url).to.be.an.instanceOf(URL);
+    expect(value.metadata.url.href).to.equal("http://example.com/page.html");
+
+    // Object references are maintained
+    expect(value.metadata.urls[0]).to.be.an.instanceOf(URL);
+    expect(value.metadata.urls[0]).to.equal(value.metadata.urls[1]);
+  });
+
+  it("should send registered types in factory data", async () => {
+    let serializersId = await createSerializers();
+    await pool.importSerializers(serializersId);
+
+    let moduleId = await createModule((data) => (file) => {
+      file.text = `${data.point.constructor.name} ${data.point.x},${data.point.y} ${data.url.hostname}`;
+      return file;
+    });
+
+    let { Point } = require(serializersId);
+    let processFile = await pool.importFileProcessor(moduleId, {
+      point: new Point(1, 2),
+      url: new URL("http://example.com/"),
+    });
+
+    let { value } = await processFile(createFile({ path: "file.txt" }), run).next();
+    expect(createFile(value).text).to.equal("Point 1,2 example.com");
+  });
+
+  it("should import serializers in workers that are started later", async () => {
+    let engine = createEngine({ concurrency: 1 });
+    pool = WorkerPool.create(engine, { maxTasksPerWorker: 1 });
+    await pool.importSerializers(await createSerializers());
+
+    let moduleId = await createModule((file) => {
+      file.metadata.host = file.metadata.url.hostname;
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    // Each file is processed by a new worker
+    for (let host of ["one.com", "two.com", "three.com"]) {
+      let file = createFile({ path: "file.txt", metadata: { url: new URL(`http://${host}/`) }});
+      let { value } = await processFile(file, run).next();
+      expect(value.metadata.host).to.equal(host);
+      expect(value.metadata.url).to.be.an.instanceOf(URL);
+    }
+  });
+
+  it("should not change values when no serializers are registered", async () => {
+    let moduleId = await createModule((file) => {
+      file.metadata.type = typeof file.metadata.value.$codeEngineType;
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    let file = createFile({ path: "file.txt", metadata: { value: { $codeEngineType: "URL" }}});
+    let { value } = await processFile(file, run).next();
+    expect(value.metadata.type).to.equal("string");
+  });
+
+  it("should throw an error if serialized data refers to the value itself", async () => {
+    await pool.importSerializers(await createModule(
+      "module.exports = {\n" +
+      '  tag: "Node",\n' +
+      '  test: (value) => value && value.constructor && value.constructor.name === "Node",\n' +
+      "  serialize: (node) => ({ self: node }),\n" +
+      "  deserialize: () => ({}),\n" +
+      "};\n"
+    ));
+
+    let moduleId = await createModule((file) => file);
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    class Node {}
+    let file = createFile({ path: "file.txt", metadata: { node: new Node() }});
+
+    try {
+      await processFile(file, run).next();
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error.message).to.equal("Cannot deserialize a Node value because its serialized data refers to the value itself.");
+      expect(error.tag).to.equal("Node");
+    }
+  });
+
+  it("should throw an error if a serializer is invalid", async () => {
+    let moduleId = await createModule('module.exports = { tag: "Foo", test () {} };');
+
+    try {
+      await pool.importSerializers(moduleId);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        `Error importing module: ${moduleId} \n` +
+        "Invalid serializer: {tag, test}. Expected an object with tag, test(), serialize(), and deserialize() properties.");
+    }
+  });
+
+  it("should throw an error if the module can't be imported", async () => {
+    try {
+      await pool.importSerializers("./this-file-does-not-exist.js");
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.match(/^Error importing module: \.\/this-file-does-not-exist\.js \n/);
+    }
+  });
+
+});
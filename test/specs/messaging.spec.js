@@ -1,3 +1,4 @@
+/* global AggregateError */
 "use strict";
 
 const WorkerPool = require("../utils/worker-pool");
@@ -32,30 +33,134 @@ describe("WorkerPool messaging between threads", () => {
     let processFile = await pool.importFileProcessor(moduleId);
     await processFile(createFile({ path: "file.txt" }), run).next();
 
+    // The worker, module, and file path are added to the log data
+    let attribution = { workerId: run.log.info.firstCall.args[1].workerId, moduleId, path: "file.txt" };
+    expect(attribution.workerId).to.be.a("number").above(0);
+
     sinon.assert.calledTwice(run.log.info);
     expect(run.log.info.firstCall.args[0]).to.equal("This is a log message");
-    expect(run.log.info.firstCall.args[1]).to.deep.equal({ foo: "bar" });
+    expect(run.log.info.firstCall.args[1]).to.deep.equal({ foo: "bar", ...attribution });
 
     expect(run.log.info.secondCall.args[0]).to.equal("This is an info message");
-    expect(run.log.info.secondCall.args[1]).to.deep.equal({ up: "down" });
+    expect(run.log.info.secondCall.args[1]).to.deep.equal({ up: "down", ...attribution });
 
     sinon.assert.calledOnce(run.log.warn);
     expect(run.log.warn.firstCall.args[0]).to.equal("This is a warning message");
-    expect(run.log.warn.firstCall.args[1]).to.deep.equal({ answer: 42 });
+    expect(run.log.warn.firstCall.args[1]).to.deep.equal({ answer: 42, ...attribution });
 
     sinon.assert.calledTwice(run.log.error);
     expect(run.log.error.firstCall.args[0]).to.be.an.instanceOf(RangeError);
     expect(run.log.error.firstCall.args[0]).to.have.property("message", "This is an error");
-    expect(run.log.error.firstCall.args[1]).to.deep.equal({ fizz: "buzz" });
+    expect(run.log.error.firstCall.args[1]).to.deep.equal({ fizz: "buzz", ...attribution });
 
     expect(run.log.error.secondCall.args[0]).to.equal("This is an error message");
-    expect(run.log.error.secondCall.args[1]).to.deep.equal({ today: new Date("2005-05-05T05:05:05.005Z") });
+    expect(run.log.error.secondCall.args[1]).to.deep.equal({ today: new Date("2005-05-05T05:05:05.005Z"), ...attribution });
 
     // Lots of debug messages get logged for various things, so we have to filter the calls
     let debugLogs = run.log.debug.getCalls().filter((call) => call.args[1].biz === "baz");
     expect(debugLogs).to.have.lengthOf(1);
     expect(debugLogs[0].args[0]).to.equal("This is a debug message");
-    expect(debugLogs[0].args[1]).to.deep.equal({ biz: "baz" });
+    expect(debugLogs[0].args[1]).to.deep.equal({ biz: "baz", ...attribution });
+  });
+
+  it("should not overwrite log data that has the same names as the worker, module, and file path", async () => {
+    let moduleId = await createModule((file, { log }) => {
+      log("This is a log message", { workerId: "my worker", moduleId: "my module", path: "my path" });
+    });
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    await processFile(createFile({ path: "file.txt" }), run).next();
+
+    sinon.assert.calledOnce(run.log.info);
+    expect(run.log.info.firstCall.args[1]).to.deep.equal({ workerId: "my worker", moduleId: "my module", path: "my path" });
+  });
+
+  it("should add the worker, module, and file path to log data that isn't a plain object", async () => {
+    let moduleId = await createModule((file, { log }) => {
+      log("This is a log message", ["not", "an", "object"]);
+      log("This is another log message", new Date("2005-05-05T05:05:05.005Z"));
+    });
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    await processFile(createFile({ path: "file.txt" }), run).next();
+
+    let attribution = { workerId: run.log.info.firstCall.args[1].workerId, moduleId, path: "file.txt" };
+    expect(attribution.workerId).to.be.a("number").above(0);
+
+    sinon.assert.calledTwice(run.log.info);
+    expect(run.log.info.firstCall.args[1]).to.deep.equal({ ...attribution, data: ["not", "an", "object"]});
+    expect(run.log.info.secondCall.args[1]).to.deep.equal({ ...attribution, data: new Date("2005-05-05T05:05:05.005Z") });
+  });
+
+  it("should add the worker, module, and file path to log messages with null data", async () => {
+    let moduleId = await createModule((file, { log }) => {
+      log.info("This is a log message", null);
+      return file;
+    });
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    let { value } = await processFile(createFile({ path: "file.txt" }), run).next();
+    expect(value.path).to.equal("file.txt");
+
+    sinon.assert.calledOnce(run.log.info);
+    expect(run.log.info.firstCall.args[0]).to.equal("This is a log message");
+    expect(run.log.info.firstCall.args[1]).to.have.keys("workerId", "moduleId", "path");
+    expect(run.log.info.firstCall.args[1]).to.include({ moduleId, path: "file.txt" });
+  });
+
+  it("should not add a file path to log data from FilesProcessors", async () => {
+    let moduleId = await createModule(async (files, { log }) => {
+      for await (let file of files) {
+        log("Bundling a file", { file: file.path });
+      }
+    });
+
+    let processFiles = await pool.importFilesProcessor(moduleId);
+    await processFiles((async function* () { yield createFile({ path: "file.txt" }); }()), run).next();
+
+    sinon.assert.calledOnce(run.log.info);
+    expect(run.log.info.firstCall.args[1]).to.have.keys("file", "workerId", "moduleId");
+    expect(run.log.info.firstCall.args[1]).to.include({ file: "file.txt", moduleId });
+  });
+
+  it("should not prefix log messages by default", async () => {
+    let moduleId = await createModule((file, { log }) => log("This is a log message"));
+    let processFile = await pool.importFileProcessor(moduleId);
+    await processFile(createFile({ path: "file.txt" }), run).next();
+
+    sinon.assert.calledWith(run.log.info, "This is a log message");
+  });
+
+  it("should prefix log messages with the worker, module, and file path if logPrefix is true", async () => {
+    pool = WorkerPool.create(createEngine(), { logPrefix: true });
+
+    let moduleId = await createModule((file, { log }) => {
+      log("This is a log message");
+      log.error(new RangeError("This is an error"));
+    });
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    await processFile(createFile({ path: "file.txt" }), run).next();
+
+    let { workerId } = run.log.info.firstCall.args[1];
+    sinon.assert.calledWith(run.log.info, `[worker #${workerId} ${moduleId} file.txt] This is a log message`);
+
+    // Errors aren't prefixed
+    expect(run.log.error.firstCall.args[0]).to.be.an.instanceOf(RangeError);
+    expect(run.log.error.firstCall.args[0]).to.have.property("message", "This is an error");
+  });
+
+  it("should prefix log messages with the string that the logPrefix function returns", async () => {
+    let logPrefix = sinon.stub().returns("my prefix: ");
+    pool = WorkerPool.create(createEngine(), { logPrefix });
+
+    let moduleId = await createModule((file, { log }) => log("This is a log message", { foo: "bar" }));
+    let processFile = await pool.importFileProcessor(moduleId);
+    await processFile(createFile({ path: "file.txt" }), run).next();
+
+    sinon.assert.calledOnce(logPrefix);
+    sinon.assert.calledWithExactly(logPrefix, { workerId: sinon.match.number, moduleId, path: "file.txt" });
+    sinon.assert.calledWith(run.log.info, "my prefix: This is a log message", sinon.match({ foo: "bar", moduleId }));
   });
 
   it("should not send debug log messages from worker threads to the main thread if run.debug is false", async () => {
@@ -126,7 +231,7 @@ describe("WorkerPool messaging between threads", () => {
     }
   });
 
-  it("should convert custom Error classes to normal Errors", async () => {
+  it("should convert custom Error classes to the nearest built-in Error class", async () => {
     let moduleId = await createModule(() => {
       class MyCustomError extends RangeError {
         constructor () {
@@ -148,11 +253,11 @@ describe("WorkerPool messaging between threads", () => {
       assert.fail("An error should have been thrown");
     }
     catch (error) {
-      expect(error).to.be.an.instanceOf(Error);
-      expect(error).not.to.be.an.instanceOf(RangeError);
+      expect(error).to.be.an.instanceOf(RangeError);
+      expect(error.name).to.equal("MyCustomError");
       expect(error.message).to.equal("A custom error has occurred.");
       expect(error.toJSON()).to.deep.equal({
-        name: "Error",
+        name: "MyCustomError",
         message: "A custom error has occurred.",
         stack: error.stack,
         foo: "bar",
@@ -162,6 +267,148 @@ describe("WorkerPool messaging between threads", () => {
     }
   });
 
+  it("should re-create registered Error classes", async () => {
+    class ValidationError extends TypeError {
+      constructor (field) {
+        super(`${field} is invalid.`);
+        this.name = "ValidationError";
+        this.field = field;
+      }
+    }
+    pool.registerErrorClass(ValidationError);
+
+    let moduleId = await createModule(() => {
+      // eslint-disable-next-line no-shadow
+      class ValidationError extends TypeError {
+        constructor (field) {
+          super(`${field} is invalid.`);
+          this.name = "ValidationError";
+          this.field = field;
+        }
+      }
+
+      // Subclasses of registered classes become instances of the registered class
+      class EmailError extends ValidationError {}
+
+      throw new EmailError("email");
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    try {
+      await processFile(createFile({ path: "file.txt" }), run).next();
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(ValidationError);
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.name).to.equal("ValidationError");
+      expect(error.message).to.equal("email is invalid.");
+      expect(error.field).to.equal("email");
+    }
+  });
+
+  it("should keep the worker thread's stack trace", async () => {
+    let moduleId = await createModule(function throwAnError () { throw new RangeError("Boom!"); });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    try {
+      await processFile(createFile({ path: "file.txt" }), run).next();
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      // The main thread's stack comes first, followed by the worker thread's stack
+      let [mainStack, workerStack] = error.stack.split("\n\n");
+      expect(mainStack).to.match(/^RangeError: Boom!/);
+      expect(workerStack).to.match(/^RangeError: Boom!\n\s+at throwAnError /);
+    }
+  });
+
+  it("should send error causes to the main thread", async () => {
+    let moduleId = await createModule(() => {
+      let rootCause = new SyntaxError("Unexpected token");
+      rootCause.line = 12;
+
+      let cause = new RangeError("Invalid config");
+      cause.cause = rootCause;
+
+      let error = new Error("Unable to build");
+      error.cause = cause;
+      throw error;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    try {
+      await processFile(createFile({ path: "file.txt" }), run).next();
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error.message).to.equal("Unable to build");
+      expect(error.cause).to.be.an.instanceOf(RangeError);
+      expect(error.cause.message).to.equal("Invalid config");
+      expect(error.cause.cause).to.be.an.instanceOf(SyntaxError);
+      expect(error.cause.cause.message).to.equal("Unexpected token");
+      expect(error.cause.cause.line).to.equal(12);
+    }
+  });
+
+  it("should omit circular error causes", async () => {
+    let moduleId = await createModule(() => {
+      let error = new Error("Boom!");
+      let cause = new TypeError("Bad type");
+      error.cause = cause;
+      cause.cause = error;
+      throw error;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    try {
+      await processFile(createFile({ path: "file.txt" }), run).next();
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error.message).to.equal("Boom!");
+      expect(error.cause).to.be.an.instanceOf(TypeError);
+      expect(error.cause).not.to.have.property("cause");
+    }
+  });
+
+  it("should send AggregateErrors to the main thread", async function () {
+    if (typeof AggregateError !== "function") {
+      // AggregateError isn't supported in this version of Node
+      this.skip();
+    }
+
+    let moduleId = await createModule(() => {
+      throw new AggregateError([new TypeError("Bad type"), new RangeError("Out of range")], "Several errors");
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    try {
+      await processFile(createFile({ path: "file.txt" }), run).next();
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(AggregateError);
+      expect(error.message).to.equal("Several errors");
+      expect(error.errors).to.have.lengthOf(2);
+      expect(error.errors[0]).to.be.an.instanceOf(TypeError);
+      expect(error.errors[0].message).to.equal("Bad type");
+      expect(error.errors[1]).to.be.an.instanceOf(RangeError);
+      expect(error.errors[1].message).to.equal("Out of range");
+    }
+  });
+
+  it("should throw an error if an invalid Error class is registered", () => {
+    try {
+      pool.registerErrorClass(class NotAnError {});
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal("Invalid Error class: NotAnError. Expected a class that extends Error.");
+    }
+  });
+
   it("should send non-Error objects thrown in worker threads to the main thread", async () => {
     let moduleId = await createModule(
       () => { throw "This is not an error"; },  // eslint-disable-line no-throw-literal
@@ -178,6 +425,30 @@ describe("WorkerPool messaging between threads", () => {
     }
   });
 
+  it("should reject with falsy values that are thrown after the output has been read", async () => {
+    let moduleId = await createModule(async function* (file) {
+      yield file;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      throw null;   // eslint-disable-line no-throw-literal
+    });
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    let output = processFile(createFile({ path: "file.txt" }), run);
+    let { value } = await output.next();
+    expect(value.path).to.equal("file.txt");
+
+    // Read the next output after the error has already arrived
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    try {
+      await output.next();
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.equal(null);
+    }
+  });
+
   it("should emit an error event", async () => {
     let moduleId = await createModule(
       () => { throw "This is not an error"; },  // eslint-disable-line no-throw-literal
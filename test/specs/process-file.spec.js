@@ -123,7 +123,7 @@ describe("Executor.processFile()", () => {
     let json = JSON.parse(Buffer.from(result.value.contents).toString());
 
     expect(json).to.deep.equal({
-      keys: ["cwd", "dev", "debug", "full", "partial", "changedFiles", "log"],
+      keys: ["cwd", "dev", "debug", "full", "partial", "changedFiles", "log", "call", "cache"],
       cwd: "/users/jdoe/desktop",
       dev: true,
       debug: false,
@@ -239,7 +239,62 @@ describe("Executor.processFile()", () => {
     );
   });
 
+  it("should copy file contents by default, leaving the original file intact", async () => {
+    // Allocate 50 bytes of memory, and fill it with "X"
+    let memory = new ArrayBuffer(50);
+    Buffer.from(memory).write("X".repeat(50));
+
+    let mainThreadFile = createFile({
+      path: "file.txt",
+      contents: Buffer.from(memory),
+    });
+
+    // The worker thread modifies the file contents in-place
+    let moduleId = await createModule((workerThreadFile) => {
+      workerThreadFile.contents.write("ABC", 5);
+      return workerThreadFile;
+    });
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    let output = await processFile(mainThreadFile, run).next();
+
+    expect(createFile(output.value).text).to.equal("XXXXXABC" + "X".repeat(42));
+
+    // The original file is unchanged
+    expect(mainThreadFile.text).to.equal("X".repeat(50));
+    expect(memory.byteLength).to.equal(50);
+  });
+
+  it("should share file contents via shared memory", async () => {
+    let engine = createEngine();
+    pool = WorkerPool.create(engine, { contentTransfer: "share" });
+
+    let moduleId = await createModule((file) => {
+      let isShared = file.contents.buffer instanceof SharedArrayBuffer;
+      return { path: file.path, text: `${file.text} is ${isShared ? "shared" : "not shared"}` };
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    // Contents that aren't already in shared memory are copied into shared memory
+    let file1 = createFile({ path: "file1.txt", text: "file1" });
+    let output = await processFile(file1, run).next();
+    expect(createFile(output.value).text).to.equal("file1 is shared");
+    expect(file1.text).to.equal("file1");
+
+    // Contents that are already in shared memory are not copied
+    let memory = new SharedArrayBuffer(5);
+    let file2 = createFile({ path: "file2.txt", contents: Buffer.from(memory) });
+    file2.contents.write("file2");
+    output = await processFile(file2, run).next();
+    expect(createFile(output.value).text).to.equal("file2 is shared");
+    expect(file2.contents.buffer).to.equal(memory);
+    expect(file2.text).to.equal("file2");
+  });
+
   it("should transfer ArrayBuffer data rather than copying it", async () => {
+    let engine = createEngine();
+    pool = WorkerPool.create(engine, { contentTransfer: "transfer" });
+
     // Allocate 50 bytes of memory, and fill it with "X"
     let memory = new ArrayBuffer(50);
     Buffer.from(memory).write("X".repeat(50));
@@ -286,6 +341,90 @@ describe("Executor.processFile()", () => {
     }
   });
 
+  it("should pause the FileProcessor until its output files are read", async () => {
+    let engine = createEngine({ concurrency: 1 });
+    pool = WorkerPool.create(engine, { outputBufferSize: 3 });
+
+    // A counter that's shared between threads
+    let counter = new Int32Array(new SharedArrayBuffer(4));
+
+    let moduleId = await createModule((shared) => function* () {
+      let count = new Int32Array(shared);
+      for (let i = 1; i <= 20; i++) {
+        Atomics.store(count, 0, i);
+        yield { path: `file${i}.txt` };
+      }
+    });
+
+    let processFile = await pool.importFileProcessor(moduleId, counter.buffer);
+    let generator = processFile(createFile({ path: "file.txt" }), run);
+
+    let file1 = await generator.next();
+    expect(file1.value).to.deep.equal({ path: "file1.txt" });
+
+    // Give the worker thread a chance to get ahead
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    // The FileProcessor has generated a few more files, but not all of them
+    expect(Atomics.load(counter, 0)).to.be.within(2, 5);
+
+    let paths = [];
+    for await (let file of generator) {
+      paths.push(file.path);
+    }
+
+    expect(paths).to.have.lengthOf(19);
+    expect(paths[18]).to.equal("file20.txt");
+    expect(Atomics.load(counter, 0)).to.equal(20);
+  });
+
+  it("should cancel the FileProcessor if its output files are abandoned", async () => {
+    let engine = createEngine({ concurrency: 1 });
+    pool = WorkerPool.create(engine, { outputBufferSize: 1 });
+
+    let moduleId = await createModule(function* (file) {
+      if (file.path === "many.txt") {
+        for (let i = 1; i <= 100; i++) {
+          yield { path: `file${i}.txt` };
+        }
+      }
+      else {
+        yield file;
+      }
+    });
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    let generator = processFile(createFile({ path: "many.txt" }), run);
+    await generator.next();
+    await generator.return();
+
+    // The worker is free to process another file
+    let { value } = await processFile(createFile({ path: "other.txt" }), run).next();
+    expect(value.path).to.equal("other.txt");
+  });
+
+  it("should process other files while a FileProcessor waits for its output files to be read", async () => {
+    let engine = createEngine({ concurrency: 1 });
+    pool = WorkerPool.create(engine);
+
+    let moduleId = await createModule(
+      'exports.split = function* () { for (let i = 1; i <= 20; i++) yield { path: "file" + i + ".txt" }; };\n' +
+      "exports.upper = (file) => (file.path = file.path.toUpperCase(), file);\n");
+    let split = await pool.importFileProcessor(`${moduleId}#split`);
+    let upper = await pool.importFileProcessor(`${moduleId}#upper`);
+
+    // Each output file goes through another FileProcessor on the same worker before the next one is read
+    let paths = [];
+    for await (let file of split(createFile({ path: "file.txt" }), run)) {
+      for await (let output of upper(createFile(file), run)) {
+        paths.push(output.path);
+      }
+    }
+
+    expect(paths).to.have.lengthOf(20);
+    expect(paths[19]).to.equal("FILE20.TXT");
+  });
+
   it("should throw an error if the FileProcessor returns an invalid value", async () => {
     let moduleId = await createModule(() => false);
     let processFile = await pool.importFileProcessor(moduleId);
@@ -337,4 +476,349 @@ describe("Executor.processFile()", () => {
     }
   });
 
+  describe("streaming", () => {
+    it("should stream file contents that are larger than streamThreshold", async () => {
+      let engine = createEngine();
+      pool = WorkerPool.create(engine, { streamThreshold: 10, streamChunkSize: 4 });
+
+      let moduleId = await createModule(async (file) => {
+        let chunks = [];
+        for await (let chunk of file.contentStream) {
+          chunks.push(chunk.toString());
+        }
+        return { path: file.path, text: `${chunks.join("|")} (${file.size} bytes)` };
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let mainThreadFile = createFile({ path: "file.txt", text: "Hello, streaming" });
+      let { value } = await processFile(mainThreadFile, run).next();
+
+      expect(createFile(value).text).to.equal("Hell|o, s|trea|ming (16 bytes)");
+      expect(mainThreadFile.text).to.equal("Hello, streaming");
+    });
+
+    it("should throw an error if a plugin reads the contents of a streamed file", async () => {
+      let engine = createEngine();
+      pool = WorkerPool.create(engine, { streamThreshold: 10 });
+
+      let moduleId = await createModule((file) => {
+        return { path: file.path, text: file.text };
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      try {
+        await processFile(createFile({ path: "file.txt", text: "Hello, streaming" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error).to.be.an.instanceOf(Error);
+        expect(error.message).to.equal(
+          "Cannot read the contents of file.txt because they're streamed. Read file.contentStream instead.");
+        expect(error.path).to.equal("file.txt");
+      }
+    });
+
+    it("should allow a plugin to replace the contents of a streamed file", async () => {
+      let engine = createEngine();
+      pool = WorkerPool.create(engine, { streamThreshold: 10 });
+
+      let moduleId = await createModule((file) => {
+        file.text = "new contents";
+        return { path: file.path, text: `${file.text.toUpperCase()} (${file.size} bytes)` };
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let { value } = await processFile(createFile({ path: "file.txt", text: "Hello, streaming" }), run).next();
+      expect(createFile(value).text).to.equal("NEW CONTENTS (12 bytes)");
+    });
+
+    it("should send output contents that are larger than streamThreshold back in chunks", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { streamThreshold: 10, streamChunkSize: 4, outputBufferSize: 1 });
+
+      let moduleId = await createModule(function* (file) {
+        yield { path: "big.txt", text: `${file.text}, chunked output` };
+        yield { path: "small.txt", text: file.text };
+        yield { path: "bigger.txt", text: `${file.text}, more chunked output` };
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let files = [];
+      for await (let file of processFile(createFile({ path: "file.txt", text: "Hello" }), run)) {
+        files.push(file);
+      }
+
+      expect(files.map((file) => createFile(file).text)).to.deep.equal([
+        "Hello, chunked output",
+        "Hello",
+        "Hello, more chunked output",
+      ]);
+
+      for (let file of files) {
+        expect(file).not.to.have.property("contentsStreamed");
+        expect(file).not.to.have.property("contentsSize");
+      }
+
+      expect(pool.stats().workers[0].bytesReceived).to.equal(52);
+    });
+
+    it("should not stream file contents that are within streamThreshold", async () => {
+      let engine = createEngine();
+      pool = WorkerPool.create(engine, { streamThreshold: 10 });
+
+      let moduleId = await createModule((file) => {
+        file.text = `${file.text} ${file.contentStream === undefined ? "was not" : "was"} streamed`;
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let { value } = await processFile(createFile({ path: "file.txt", text: "0123456789" }), run).next();
+      expect(createFile(value).text).to.equal("0123456789 was not streamed");
+    });
+
+    it("should not send unchanged streamed contents back to the main thread", async () => {
+      let engine = createEngine();
+      pool = WorkerPool.create(engine, { streamThreshold: 10 });
+
+      let moduleId = await createModule((file) => {
+        file.path = "renamed.txt";
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let mainThreadFile = createFile({ path: "file.txt", text: "Hello, streaming" });
+      let { value } = await processFile(mainThreadFile, run).next();
+
+      expect(value.path).to.equal("renamed.txt");
+      expect(value).not.to.have.property("contentsUnchanged");
+      expect(value.contents).to.equal(mainThreadFile.contents);
+      expect(createFile(value).text).to.equal("Hello, streaming");
+    });
+
+    it("should send new contents for streamed files back to the main thread", async () => {
+      let engine = createEngine();
+      pool = WorkerPool.create(engine, { streamThreshold: 10, batchSize: 2, maxTasksPerWorker: 2 });
+
+      let moduleId = await createModule(async (file) => {
+        let size = 0;
+        for await (let chunk of file.contentStream) {
+          size += chunk.byteLength;
+        }
+        file.text = `${size} bytes`;
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let results = await Promise.all([
+        processFile(createFile({ path: "file1.txt", text: "Hello, streaming" }), run).next(),
+        processFile(createFile({ path: "file2.txt", text: "Hello, world, again" }), run).next(),
+      ]);
+
+      expect(createFile(results[0].value).text).to.equal("16 bytes");
+      expect(createFile(results[1].value).text).to.equal("19 bytes");
+    });
+  });
+
+  describe("batching", () => {
+    function batches (engine) {
+      return engine.log.debug.args
+        .filter(([message]) => / is processing \d+ files$/.test(message))
+        .map(([, data]) => data.paths);
+    }
+
+    it("should send files to the same worker in a single message", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { maxTasksPerWorker: 10, batchSize: 10 });
+
+      let moduleId = await createModule((file) => {
+        file.text = file.text.toUpperCase();
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let results = await Promise.all([1, 2, 3, 4, 5].map((i) =>
+        processFile(createFile({ path: `file${i}.txt`, text: `file ${i}` }), run).next()));
+
+      expect(batches(engine)).to.deep.equal([["file1.txt", "file2.txt", "file3.txt", "file4.txt", "file5.txt"]]);
+
+      // Each output file is matched to its input file
+      for (let [index, { value }] of results.entries()) {
+        expect(value.path).to.equal(`file${index + 1}.txt`);
+        expect(createFile(value).text).to.equal(`FILE ${index + 1}`);
+      }
+    });
+
+    it("should let each worker process two batches at once if maxTasksPerWorker isn't set", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { batchSize: 2 });
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let files = Promise.all([1, 2, 3, 4, 5].map((i) => processFile(createFile({ path: `file${i}.txt` }), run).next()));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      let stats = pool.stats();
+      expect(stats.workers[0].tasksInFlight).to.equal(4);
+      expect(stats.queued).to.equal(1);
+
+      await files;
+      expect(batches(engine)).to.deep.equal([["file1.txt", "file2.txt"], ["file3.txt", "file4.txt"], ["file5.txt"]]);
+    });
+
+    it("should not send a worker more files until it has room for a whole batch", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { maxTasksPerWorker: 3, batchSize: 3, batchBytes: 10 });
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      // The first file reaches batchBytes by itself, so it's sent right away
+      let first = processFile(createFile({ path: "file1.txt", text: "This file is large" }), run).next();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      // The worker only has room for two more files, so they wait until it has room for a whole batch
+      let others = Promise.all([
+        processFile(createFile({ path: "file2.txt" }), run).next(),
+        processFile(createFile({ path: "file3.txt" }), run).next(),
+      ]);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(pool.stats().queued).to.equal(2);
+
+      await Promise.all([first, others]);
+      expect(batches(engine)).to.deep.equal([["file1.txt"], ["file2.txt", "file3.txt"]]);
+    });
+
+    it("should not count exec() calls as files that are waiting to be batched", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { maxTasksPerWorker: 4, batchSize: 2 });
+
+      let moduleId = await createModule(
+        "exports.default = async (file) => { await new Promise((resolve) => setTimeout(resolve, 100)); return file; };\n" +
+        "exports.wait = () => new Promise((resolve) => setTimeout(resolve, 100));");
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let exec = pool.exec(moduleId, "wait");
+      let files = [1, 2, 3].map((i) => processFile(createFile({ path: `file${i}.txt` }), run).next());
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      // The worker has room for one more file, but not for a whole batch
+      expect(pool.stats().queued).to.equal(1);
+
+      await Promise.all([exec, ...files]);
+      expect(batches(engine)).to.deep.equal([["file1.txt", "file2.txt"], ["file3.txt"]]);
+    });
+
+    it("should keep sending full batches as files finish", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { batchSize: 10 });
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, Math.random() * 10));
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let paths = [];
+      for (let i = 1; i <= 100; i++) {
+        paths.push(`file${i}.txt`);
+      }
+      await Promise.all(paths.map((path) => processFile(createFile({ path }), run).next()));
+
+      // Each file that finishes doesn't cause a single file to be sent by itself
+      let sent = batches(engine);
+      expect(sent).to.have.lengthOf(10);
+      expect(sent.map((batch) => batch.length)).to.deep.equal([10, 10, 10, 10, 10, 10, 10, 10, 10, 10]);
+      expect([].concat(...sent)).to.have.members(paths);
+    });
+
+    it("should not send more than batchSize files in a single message", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { maxTasksPerWorker: 10, batchSize: 2 });
+
+      let moduleId = await createModule((file) => file);
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      await Promise.all([1, 2, 3, 4, 5].map((i) => processFile(createFile({ path: `file${i}.txt` }), run).next()));
+
+      expect(batches(engine)).to.deep.equal([["file1.txt", "file2.txt"], ["file3.txt", "file4.txt"], ["file5.txt"]]);
+    });
+
+    it("should send a batch once it reaches batchBytes", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { maxTasksPerWorker: 10, batchSize: 10, batchBytes: 10 });
+
+      let moduleId = await createModule((file) => file);
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      await Promise.all([1, 2, 3].map((i) =>
+        processFile(createFile({ path: `file${i}.txt`, text: "12345678" }), run).next()));
+
+      expect(batches(engine)).to.deep.equal([["file1.txt", "file2.txt"], ["file3.txt"]]);
+    });
+
+    it("should wait up to batchLatency for more files", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { maxTasksPerWorker: 10, batchSize: 10, batchLatency: 200 });
+
+      let moduleId = await createModule((file) => file);
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let file1 = processFile(createFile({ path: "file1.txt" }), run).next();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      let file2 = processFile(createFile({ path: "file2.txt" }), run).next();
+      await Promise.all([file1, file2]);
+
+      expect(batches(engine)).to.deep.equal([["file1.txt", "file2.txt"]]);
+    });
+
+    it("should not put files from different runs in the same message", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { maxTasksPerWorker: 10, batchSize: 10 });
+
+      let moduleId = await createModule((file, { dev }) => {
+        file.text = String(dev);
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let results = await Promise.all([
+        processFile(createFile({ path: "file1.txt" }), run).next(),
+        processFile(createFile({ path: "file2.txt" }), createRun({ dev: true })).next(),
+      ]);
+
+      expect(batches(engine)).to.deep.equal([["file1.txt"], ["file2.txt"]]);
+      expect(createFile(results[0].value).text).to.equal("false");
+      expect(createFile(results[1].value).text).to.equal("true");
+    });
+
+    it("should only reject the files in a batch that fail", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      pool = WorkerPool.create(engine, { maxTasksPerWorker: 10, batchSize: 10 });
+
+      let moduleId = await createModule((file) => {
+        if (file.path === "bad.txt") {
+          throw new RangeError("Boom!");
+        }
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let results = await Promise.all(["good1.txt", "bad.txt", "good2.txt"].map((path) =>
+        processFile(createFile({ path }), run).next().catch((error) => error)));
+
+      expect(batches(engine)).to.have.lengthOf(1);
+      expect(results[0].value.path).to.equal("good1.txt");
+      expect(results[1]).to.be.an.instanceOf(RangeError);
+      expect(results[1].message).to.equal("Boom!");
+      expect(results[2].value.path).to.equal("good2.txt");
+    });
+  });
+
 });
@@ -0,0 +1,132 @@
+"use strict";
+
+const WorkerPool = require("../utils/worker-pool");
+const createModule = require("../utils/create-module");
+const createRun = require("../utils/create-run");
+const createEngine = require("../utils/create-engine");
+const { createFile } = require("@code-engine/utils");
+const { assert, expect } = require("chai");
+const sinon = require("sinon");
+
+describe("WorkerPool.registerHandler()", () => {
+  let run, pool;
+
+  beforeEach("create a new WorkerPool and Run", () => {
+    let engine = createEngine();
+    run = createRun(engine);
+    pool = WorkerPool.create(engine);
+  });
+
+  async function processText (processFile, path = "file.txt") {
+    let { value } = await processFile(createFile({ path }), run).next();
+    return createFile(value).text;
+  }
+
+  it("should call a main-thread handler from a worker thread", async () => {
+    let handler = sinon.spy((a, b) => a + b);
+    pool.registerHandler("add", handler);
+
+    let moduleId = await createModule(async (file, { call }) => {
+      file.text = String(await call("add", 2, 3));
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    expect(await processText(processFile)).to.equal("5");
+    sinon.assert.calledOnce(handler);
+    sinon.assert.calledWithExactly(handler, 2, 3);
+  });
+
+  it("should wait for async handlers", async () => {
+    pool.registerHandler("readFile", async (path) => {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return { path, text: `contents of ${path}`, modified: new Date("2005-05-05T05:05:05.005Z") };
+    });
+
+    let moduleId = await createModule(async (file, { call }) => {
+      let other = await call("readFile", "other.txt");
+      file.text = `${other.text} (${other.modified.toISOString()})`;
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    expect(await processText(processFile)).to.equal("contents of other.txt (2005-05-05T05:05:05.005Z)");
+  });
+
+  it("should handle concurrent calls from several workers", async () => {
+    let engine = createEngine({ concurrency: 3 });
+    pool = WorkerPool.create(engine);
+
+    let count = 0;
+    pool.registerHandler("next", () => ++count);
+
+    let moduleId = await createModule(async (file, { call }) => {
+      await call("next");
+      await call("next");
+      file.text = "done";
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    let results = await Promise.all(["a.txt", "b.txt", "c.txt", "d.txt"].map((path) => processText(processFile, path)));
+    expect(results).to.deep.equal(["done", "done", "done", "done"]);
+    expect(count).to.equal(8);
+  });
+
+  it("should send handler errors to the worker thread", async () => {
+    pool.registerHandler("fail", () => { throw new RangeError("Boom!"); });
+
+    let moduleId = await createModule(async (file, { call }) => {
+      try {
+        await call("fail");
+      }
+      catch (error) {
+        file.text = `${error.name}: ${error.message} ${error instanceof RangeError}`;
+      }
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    expect(await processText(processFile)).to.equal("RangeError: Boom! true");
+  });
+
+  it("should reject calls to handlers that aren't registered", async () => {
+    let moduleId = await createModule(async (file, { call }) => {
+      await call("doesNotExist");
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    try {
+      await processFile(createFile({ path: "file.txt" }), run).next();
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.equal('There is no main-thread handler named "doesNotExist".');
+    }
+  });
+
+  it("should throw an error if the name is invalid", () => {
+    try {
+      pool.registerHandler("  ", () => undefined);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.equal('Invalid handler name: "  ". It cannot be all whitespace.');
+    }
+  });
+
+  it("should throw an error if the handler is not a function", () => {
+    try {
+      pool.registerHandler("foo", "bar");
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal('Invalid handler: "bar". Expected a function.');
+    }
+  });
+
+});
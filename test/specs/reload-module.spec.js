@@ -0,0 +1,179 @@
+"use strict";
+
+const WorkerPool = require("../utils/worker-pool");
+const createModule = require("../utils/create-module");
+const createRun = require("../utils/create-run");
+const createEngine = require("../utils/create-engine");
+const { createFile } = require("@code-engine/utils");
+const { assert, expect } = require("chai");
+const { promises: fs } = require("fs");
+const { join } = require("path");
+
+describe("WorkerPool.reloadModule()", () => {
+  let run, pool;
+
+  beforeEach("create a new WorkerPool and Run", () => {
+    let engine = createEngine({ concurrency: 2 });
+    run = createRun(engine);
+    pool = WorkerPool.create(engine);
+  });
+
+  async function processText (processFile) {
+    let { value } = await processFile(createFile({ path: "file.txt" }), run).next();
+    return createFile(value).text;
+  }
+
+  it("should reload a FileProcessor and its local dependencies", async () => {
+    let moduleId = await createModule(
+      'const text = require("./text");\n' +
+      "module.exports = (file) => (file.text = text, file);");
+    await fs.writeFile(join(moduleId, "text.js"), 'module.exports = "version 1";');
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    expect(await processText(processFile)).to.equal("version 1");
+
+    await fs.writeFile(join(moduleId, "text.js"), 'module.exports = "version 2";');
+    await pool.reloadModule(moduleId);
+
+    // The same FileProcessor function now uses the reloaded module
+    expect(await processText(processFile)).to.equal("version 2");
+    expect(await processText(processFile)).to.equal("version 2");
+  });
+
+  it("should call the factory function again with the original data", async () => {
+    let moduleId = await createModule((data) => (file) => {
+      file.text = `${data} from version 1`;
+      return file;
+    });
+
+    let processFile = await pool.importFileProcessor(moduleId, "Hello");
+    expect(await processText(processFile)).to.equal("Hello from version 1");
+
+    await fs.writeFile(join(moduleId, "index.js"),
+      "module.exports = (data) => (file) => (file.text = data + ' from version 2', file);");
+    await pool.reloadModule(moduleId);
+
+    expect(await processText(processFile)).to.equal("Hello from version 2");
+  });
+
+  it("should reload a native ECMAScript module", async () => {
+    let moduleId = await createModule('export default (file) => (file.text = "version 1", file);', "index.mjs");
+    let processFile = await pool.importFileProcessor(moduleId);
+    expect(await processText(processFile)).to.equal("version 1");
+
+    await fs.writeFile(moduleId, 'export default (file) => (file.text = "version 2", file);');
+    await pool.reloadModule(moduleId);
+
+    expect(await processText(processFile)).to.equal("version 2");
+  });
+
+  it("should reload named exports", async () => {
+    let moduleId = await createModule('exports.upper = (file) => (file.text = "version 1", file);');
+    let processFile = await pool.importFileProcessor(`${moduleId}#upper`);
+    expect(await processText(processFile)).to.equal("version 1");
+
+    await fs.writeFile(join(moduleId, "index.js"), 'exports.upper = (file) => (file.text = "version 2", file);');
+    await pool.reloadModule(`${moduleId}#upper`);
+
+    expect(await processText(processFile)).to.equal("version 2");
+  });
+
+  it("should re-run modules that were imported via importModule()", async () => {
+    let moduleId = await createModule("module.exports = (data) => global.text = data + ' from version 1';");
+    let processorId = await createModule((file) => {
+      file.text = global.text;
+      return file;
+    });
+
+    await pool.importModule(moduleId, "Hello");
+    let processFile = await pool.importFileProcessor(processorId);
+    expect(await processText(processFile)).to.equal("Hello from version 1");
+
+    await fs.writeFile(join(moduleId, "index.js"), "module.exports = (data) => global.text = data + ' from version 2';");
+    await pool.reloadModule(moduleId);
+
+    expect(await processText(processFile)).to.equal("Hello from version 2");
+  });
+
+  it("should finish files that are already being processed with the old module", async () => {
+    let engine = createEngine({ concurrency: 1 });
+    pool = WorkerPool.create(engine, { maxTasksPerWorker: 2 });
+
+    let moduleId = await createModule(async (file) => {
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      file.text = "version 1";
+      return file;
+    });
+
+    let processFile = await pool.importFileProcessor(moduleId);
+    let inFlight = processText(processFile);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await fs.writeFile(join(moduleId, "index.js"), 'module.exports = (file) => (file.text = "version 2", file);');
+    await pool.reloadModule(moduleId);
+
+    expect(await processText(processFile)).to.equal("version 2");
+    expect(await inFlight).to.equal("version 1");
+  });
+
+  it("should keep using the old module if the reload fails", async () => {
+    let moduleId = await createModule('module.exports = (file) => (file.text = "version 1", file);');
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    await fs.writeFile(join(moduleId, "index.js"), "module.exports = hello world");
+
+    try {
+      await pool.reloadModule(moduleId);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(SyntaxError);
+      expect(error.message).to.match(new RegExp(`^Error importing module: ${moduleId.replace(/\\/g, "\\\\")} \\n`));
+    }
+
+    expect(await processText(processFile)).to.equal("version 1");
+  });
+
+  it("should keep using the old module in every worker if the reload fails in one of them", async () => {
+    let moduleId = await createModule(async (file) => {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      file.text = "version 1";
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    // Process two files at once, so both workers are started
+    await Promise.all([processText(processFile), processText(processFile)]);
+    expect(pool.size).to.equal(2);
+
+    // Only the first worker that imports the new version can create the directory
+    await fs.writeFile(join(moduleId, "index.js"),
+      'require("fs").mkdirSync(require("path").join(__dirname, "lock"));\n' +
+      'module.exports = (file) => (file.text = "version 2", file);');
+
+    try {
+      await pool.reloadModule(moduleId);
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.code).to.equal("EEXIST");
+      expect(error.message).to.match(new RegExp(`^Error importing module: ${moduleId.replace(/\\/g, "\\\\")} \\n`));
+    }
+
+    let results = await Promise.all([1, 2, 3, 4].map(() => processText(processFile)));
+    expect(results).to.deep.equal(new Array(4).fill("version 1"));
+  });
+
+  it("should throw an error if the module hasn't been imported", async () => {
+    try {
+      await pool.reloadModule("./not-imported.js");
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.equal("Cannot reload ./not-imported.js because it has not been imported.");
+    }
+  });
+
+});
@@ -0,0 +1,200 @@
+"use strict";
+
+const WorkerPool = require("../utils/worker-pool");
+const createModule = require("../utils/create-module");
+const createRun = require("../utils/create-run");
+const createEngine = require("../utils/create-engine");
+const { createFile } = require("@code-engine/utils");
+const { assert, expect } = require("chai");
+
+describe("Shared cache", () => {
+  let engine, run, pool;
+
+  beforeEach("create a new WorkerPool and Run", () => {
+    engine = createEngine({ concurrency: 2 });
+    run = createRun(engine);
+    pool = WorkerPool.create(engine);
+  });
+
+  /**
+   * A FileProcessor that performs the cache operation in the file's text
+   */
+  async function createCacheModule () {
+    return createModule(async (file, { cache }) => {
+      let [operation, key, value] = file.text.split(" ");
+
+      switch (operation) {
+        case "set":
+          await cache.set(key, value);
+          break;
+        case "delete":
+          await cache.delete(key);
+          break;
+        case "clear":
+          await cache.clear();
+          break;
+      }
+
+      file.text = String(await cache.get(key));
+      return file;
+    });
+  }
+
+  async function processText (processFile, text, currentRun = run) {
+    let { value } = await processFile(createFile({ path: "file.txt", text }), currentRun).next();
+    return createFile(value).text;
+  }
+
+  it("should share values between worker threads", async () => {
+    let processFile = await pool.importFileProcessor(await createCacheModule());
+
+    expect(await processText(processFile, "get foo")).to.equal("undefined");
+    expect(await processText(processFile, "set foo bar")).to.equal("bar");
+
+    let results = await Promise.all([
+      processText(processFile, "get foo"),
+      processText(processFile, "get foo"),
+      processText(processFile, "get foo"),
+    ]);
+    expect(results).to.deep.equal(["bar", "bar", "bar"]);
+    expect(pool.size).to.equal(2);
+  });
+
+  it("should delete values", async () => {
+    let processFile = await pool.importFileProcessor(await createCacheModule());
+
+    await processText(processFile, "set foo bar");
+    await processText(processFile, "set fizz buzz");
+    expect(await processText(processFile, "delete foo")).to.equal("undefined");
+    expect(await processText(processFile, "get fizz")).to.equal("buzz");
+  });
+
+  it("should clear all values", async () => {
+    let processFile = await pool.importFileProcessor(await createCacheModule());
+
+    await processText(processFile, "set foo bar");
+    await processText(processFile, "set fizz buzz");
+    expect(await processText(processFile, "clear fizz")).to.equal("undefined");
+    expect(await processText(processFile, "get foo")).to.equal("undefined");
+  });
+
+  it("should clear all values from the main thread", async () => {
+    let processFile = await pool.importFileProcessor(await createCacheModule());
+
+    await processText(processFile, "set foo bar");
+    pool.clearCache();
+    expect(await processText(processFile, "get foo")).to.equal("undefined");
+  });
+
+  it("should only compute each value once, even across worker threads", async () => {
+    let computed = 0;
+    pool.registerHandler("computed", () => ++computed);
+
+    let moduleId = await createModule(async (file, { cache, call }) => {
+      let value = await cache.getOrCompute("schema", async () => {
+        await call("computed");
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        return { type: "object", when: new Date("2005-05-05T05:05:05.005Z") };
+      });
+
+      file.text = `${value.type} ${value.when.toISOString()}`;
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    let results = await Promise.all(["a", "b", "c", "d"].map((text) => processText(processFile, text)));
+    expect(results).to.deep.equal(new Array(4).fill("object 2005-05-05T05:05:05.005Z"));
+    expect(computed).to.equal(1);
+    expect(pool.size).to.equal(2);
+  });
+
+  it("should let another worker compute the value if the computation fails", async () => {
+    let moduleId = await createModule(async (file, { cache }) => {
+      if (file.text === "succeed") {
+        // Wait until the other worker is computing the value, so it's always the one that fails
+        while (!await cache.get("computing")) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+      }
+
+      let value = await cache.getOrCompute("answer", async () => {
+        if (file.text === "fail") {
+          await cache.set("computing", true);
+          await new Promise((resolve) => setTimeout(resolve, 50));
+          throw new RangeError("Boom!");
+        }
+        return 42;
+      });
+
+      file.text = String(value);
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    let results = await Promise.all(["fail", "succeed"].map((text) => processText(processFile, text).catch((e) => e)));
+    expect(results[0]).to.be.an.instanceOf(RangeError);
+    expect(results[0].message).to.equal("Boom!");
+    expect(results[1]).to.equal("42");
+  });
+
+  it("should clear the cache for each run by default", async () => {
+    let processFile = await pool.importFileProcessor(await createCacheModule());
+
+    await processText(processFile, "set foo bar");
+    expect(await processText(processFile, "get foo")).to.equal("bar");
+
+    let nextRun = createRun(engine);
+    expect(await processText(processFile, "get foo", nextRun)).to.equal("undefined");
+  });
+
+  it("should not clear the cache again when files from an earlier run are processed", async () => {
+    let processFile = await pool.importFileProcessor(await createCacheModule());
+    let nextRun = createRun(engine);
+
+    await processText(processFile, "set foo bar");
+    await processText(processFile, "set bar baz", nextRun);
+
+    // Files from the two runs are interleaved, but neither run clears the other's values again
+    expect(await processText(processFile, "get bar")).to.equal("baz");
+    expect(await processText(processFile, "get foo", nextRun)).to.equal("undefined");
+    expect(await processText(processFile, "set foo qux", nextRun)).to.equal("qux");
+    expect(await processText(processFile, "get foo")).to.equal("qux");
+  });
+
+  it("should keep the cache across runs if cacheScope is \"pool\"", async () => {
+    pool = WorkerPool.create(engine, { cacheScope: "pool" });
+    let processFile = await pool.importFileProcessor(await createCacheModule());
+
+    await processText(processFile, "set foo bar");
+
+    let nextRun = createRun(engine);
+    expect(await processText(processFile, "get foo", nextRun)).to.equal("bar");
+  });
+
+  it("should throw an error if a value can't be cloned", async () => {
+    let moduleId = await createModule(async (file, { cache }) => {
+      await cache.set("fn", () => undefined);
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    try {
+      await processText(processFile, "");
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.match(/could not be cloned/);
+    }
+  });
+
+  it("should throw an error if cacheScope is invalid", () => {
+    function invalid () {
+      return WorkerPool.create(engine, { cacheScope: "forever" });
+    }
+
+    expect(invalid).to.throw(TypeError);
+    expect(invalid).to.throw('Invalid cacheScope: "forever". Expected "run" or "pool".');
+  });
+
+});
@@ -0,0 +1,147 @@
+"use strict";
+
+const WorkerPool = require("../utils/worker-pool");
+const createModule = require("../utils/create-module");
+const createRun = require("../utils/create-run");
+const createEngine = require("../utils/create-engine");
+const { createFile } = require("@code-engine/utils");
+const { assert, expect } = require("chai");
+const { promises: fs } = require("fs");
+const { join } = require("path");
+
+describe("WorkerPool.unloadFileProcessor()", () => {
+  let run, pool;
+
+  beforeEach("create a new WorkerPool and Run", () => {
+    let engine = createEngine({ concurrency: 1 });
+    run = createRun(engine);
+    pool = WorkerPool.create(engine);
+  });
+
+  it("should reject files that are processed after unloading", async () => {
+    let moduleId = await createModule((file) => file);
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    await pool.unloadFileProcessor(processFile);
+
+    try {
+      await processFile(createFile({ path: "file.txt" }), run).next();
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.equal(`Cannot process file.txt because ${moduleId} has been unloaded.`);
+    }
+  });
+
+  it("should finish files that are already being processed", async () => {
+    let moduleId = await createModule(async (file) => {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      file.text = "Done";
+      return file;
+    });
+    let processFile = await pool.importFileProcessor(moduleId);
+
+    let inFlight = processFile(createFile({ path: "file.txt" }), run).next();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await pool.unloadFileProcessor(processFile);
+
+    let { value } = await inFlight;
+    expect(createFile(value).text).to.equal("Done");
+  });
+
+  it("should load the latest version if the module is imported again", async () => {
+    let moduleId = await createModule('module.exports = (file) => (file.text = "version 1", file);');
+    let processFile = await pool.importFileProcessor(moduleId);
+    await pool.unloadFileProcessor(processFile);
+
+    await fs.writeFile(join(moduleId, "index.js"), 'module.exports = (file) => (file.text = "version 2", file);');
+    processFile = await pool.importFileProcessor(moduleId);
+
+    let { value } = await processFile(createFile({ path: "file.txt" }), run).next();
+    expect(createFile(value).text).to.equal("version 2");
+  });
+
+  it("should not re-import unloaded modules in new workers", async () => {
+    let engine = createEngine({ concurrency: 1 });
+    pool = WorkerPool.create(engine, { maxWorkers: 2 });
+
+    let unloadedId = await createModule((file) => file);
+    let moduleId = await createModule(async (file) => {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      file.text = String(require("worker_threads").threadId);
+      return file;
+    });
+
+    let unloaded = await pool.importFileProcessor(unloadedId);
+    let processFile = await pool.importFileProcessor(moduleId);
+    await pool.unloadFileProcessor(unloaded);
+
+    // Deleting the unloaded module would cause an error if a new worker tried to import it
+    await fs.unlink(join(unloadedId, "index.js"));
+
+    let results = await Promise.all([
+      processFile(createFile({ path: "file1.txt" }), run).next(),
+      processFile(createFile({ path: "file2.txt" }), run).next(),
+    ]);
+
+    expect(pool.size).to.equal(2);
+    expect(createFile(results[0].value).text).not.to.equal(createFile(results[1].value).text);
+  });
+
+  it("should keep the module's teardown export if another export of the module is still loaded", async () => {
+    let logFile = join(await createModule(""), "teardown.log");
+    let moduleId = await createModule(
+      "exports.a = (file) => file;\n" +
+      "exports.b = (file) => file;\n" +
+      `exports.teardown = () => require("fs").appendFileSync(${JSON.stringify(logFile)}, "teardown\\n");`);
+
+    let a = await pool.importFileProcessor(`${moduleId}#a`);
+    await pool.importFileProcessor(`${moduleId}#b`);
+    await pool.unloadFileProcessor(a);
+    await pool.dispose({ graceful: true });
+
+    expect(await fs.readFile(logFile, "utf8")).to.equal("teardown\n");
+  });
+
+  it("should remove the module's teardown export once every export of the module is unloaded", async () => {
+    let logFile = join(await createModule(""), "teardown.log");
+    let moduleId = await createModule(
+      "exports.a = (file) => file;\n" +
+      "exports.b = (file) => file;\n" +
+      `exports.teardown = () => require("fs").appendFileSync(${JSON.stringify(logFile)}, "teardown\\n");`);
+
+    let a = await pool.importFileProcessor(`${moduleId}#a`);
+    let b = await pool.importFileProcessor(`${moduleId}#b`);
+    await pool.unloadFileProcessor(a);
+    await pool.unloadFileProcessor(b);
+    await pool.dispose({ graceful: true });
+
+    let exists = await fs.access(logFile).then(() => true, () => false);
+    expect(exists).to.equal(false);
+  });
+
+  it("should throw an error if the FileProcessor wasn't imported by the WorkerPool", async () => {
+    try {
+      await pool.unloadFileProcessor(function myFileProcessor () {});
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.message).to.equal(
+        "Cannot unload the myFileProcessor function because it was not imported by this WorkerPool.");
+    }
+  });
+
+  it("should throw an error if called without a FileProcessor", async () => {
+    try {
+      await pool.unloadFileProcessor("./my-file-processor.js");
+      assert.fail("An error should have been thrown");
+    }
+    catch (error) {
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(error.message).to.equal('Invalid FileProcessor: "./my-file-processor.js". Expected a function.');
+    }
+  });
+
+});
@@ -9,6 +9,8 @@ const createRun = require("../utils/create-run");
 const createEngine = require("../utils/create-engine");
 const sinon = require("sinon");
 const os = require("os");
+const { promises: fs } = require("fs");
+const { join } = require("path");
 
 describe("WorkerPool class", () => {
 
@@ -99,6 +101,728 @@ describe("WorkerPool class", () => {
     });
   });
 
+  describe("elastic sizing", () => {
+    it("should start more workers when files are waiting", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { maxWorkers: 3 });
+      expect(pool.size).to.equal(1);
+
+      let moduleId = await createModule((data) => global.text = data);
+      let processorId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        file.text = `${global.text} from thread ${require("worker_threads").threadId}`;
+        return file;
+      });
+
+      await pool.importModule(moduleId, "Hello");
+      let processFile = await pool.importFileProcessor(processorId);
+
+      let results = await Promise.all(["a.txt", "b.txt", "c.txt"].map(async (path) => {
+        let { value } = await processFile(createFile({ path }), run).next();
+        return createFile(value).text;
+      }));
+
+      // The new workers imported the modules before processing files
+      expect(pool.size).to.equal(3);
+      expect(new Set(results).size).to.equal(3);
+      for (let text of results) {
+        expect(text).to.match(/^Hello from thread \d+$/);
+      }
+    });
+
+    it("should stop idle workers, down to minWorkers", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { minWorkers: 1, maxWorkers: 2, idleTimeout: 200 });
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      await Promise.all(["a.txt", "b.txt"].map((path) => processFile(createFile({ path }), run).next()));
+      expect(pool.size).to.equal(2);
+
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      expect(pool.size).to.equal(1);
+    });
+
+    it("should throw an error if maxWorkers is less than minWorkers", async () => {
+      function invalid () {
+        let engine = createEngine();
+        return WorkerPool.create(engine, { minWorkers: 3, maxWorkers: 2 });
+      }
+
+      expect(invalid).to.throw(RangeError);
+      expect(invalid).to.throw("Invalid maxWorkers: 2. It cannot be less than minWorkers (3).");
+    });
+  });
+
+  describe("recycling", () => {
+    let moduleId;
+
+    beforeEach("create a module", async () => {
+      moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        file.text = String(require("worker_threads").threadId);
+        return file;
+      });
+    });
+
+    async function processFiles (processFile, run, paths) {
+      return Promise.all(paths.map(async (path) => {
+        let { value } = await processFile(createFile({ path }), run).next();
+        return createFile(value).text;
+      }));
+    }
+
+    it("should replace a worker after it processes recycleAfterTasks files", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { recycleAfterTasks: 2 });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let threads = await processFiles(processFile, run, ["a.txt", "b.txt", "c.txt", "d.txt", "e.txt"]);
+
+      expect(threads[0]).to.equal(threads[1]);
+      expect(threads[2]).to.equal(threads[3]);
+      expect(threads[2]).not.to.equal(threads[1]);
+      expect(threads[4]).not.to.equal(threads[3]);
+      expect(pool.size).to.equal(1);
+
+      sinon.assert.calledWith(engine.log.info,
+        sinon.match(/^Recycling CodeEngine worker #\d+ after processing 2 files\.$/),
+        sinon.match({ tasksProcessed: 2 })
+      );
+    });
+
+    it("should replace a worker when its heap exceeds recycleHeapLimit", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { recycleHeapLimit: 1 });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let threads = await processFiles(processFile, run, ["a.txt", "b.txt"]);
+
+      expect(threads[0]).not.to.equal(threads[1]);
+      sinon.assert.calledWith(engine.log.info,
+        sinon.match(/^Recycling CodeEngine worker #\d+ because its heap usage \(\d+ bytes\) exceeded 1 bytes\.$/)
+      );
+    });
+
+    it("should finish in-flight files before terminating a recycled worker", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { recycleAfterTasks: 1, maxTasksPerWorker: 3 });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let threads = await processFiles(processFile, run, ["a.txt", "b.txt", "c.txt"]);
+
+      // All three files were processed by the first worker, even though it was recycled after the first one
+      expect(threads).to.deep.equal([threads[0], threads[0], threads[0]]);
+    });
+  });
+
+  describe("restarts", () => {
+    it("should replace a crashed worker and re-import its modules", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule((data) => global.text = data);
+      let processorId = await createModule((file) => {
+        if (file.path === "crash.txt") {
+          process.exit(1);
+        }
+        file.text = `${global.text} from thread ${require("worker_threads").threadId}`;
+        return file;
+      });
+
+      await pool.importModule(moduleId, "Hello");
+      let processFile = await pool.importFileProcessor(processorId);
+
+      let { value } = await processFile(createFile({ path: "file1.txt" }), run).next();
+      let firstThread = createFile(value).text;
+
+      try {
+        await processFile(createFile({ path: "crash.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error.message).to.match(/^CodeEngine worker \#-?\d+ unexpectedly exited with code 1\.$/);
+      }
+
+      ({ value } = await processFile(createFile({ path: "file2.txt" }), run).next());
+      let secondThread = createFile(value).text;
+
+      expect(pool.size).to.equal(1);
+      expect(firstThread).to.match(/^Hello from thread \d+$/);
+      expect(secondThread).to.match(/^Hello from thread \d+$/);
+      expect(secondThread).not.to.equal(firstThread);
+    });
+
+    it("should stop replacing workers after maxRestarts", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { maxRestarts: 1 });
+
+      let moduleId = await createModule(() => process.exit(1));
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      for (let i = 0; i < 2; i++) {
+        try {
+          await processFile(createFile({ path: "crash.txt" }), run).next();
+          assert.fail("An error should have been thrown");
+        }
+        catch (error) {
+          expect(error.message).to.match(/^CodeEngine worker \#-?\d+ unexpectedly exited with code 1\.$/);
+        }
+      }
+
+      expect(pool.size).to.equal(0);
+
+      try {
+        await processFile(createFile({ path: "file.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error.message).to.equal(
+          "All CodeEngine workers have exited, and the maximum number of restarts (1) has been reached.");
+      }
+    });
+
+    it("should reject queued files if replacement workers can't re-import modules", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { maxRestarts: 2 });
+
+      // This module can only be imported until the "broken" file exists
+      let moduleId = await createModule(`
+        const { existsSync } = require("fs");
+        const { join } = require("path");
+        module.exports = () => {
+          if (existsSync(join(__dirname, "broken"))) {
+            throw new SyntaxError("This module is broken now");
+          }
+        };
+      `);
+      let processorId = await createModule((file) => {
+        if (file.path === "crash.txt") {
+          process.exit(1);
+        }
+        return file;
+      });
+
+      await pool.importModule(moduleId);
+      let processFile = await pool.importFileProcessor(processorId);
+      await fs.writeFile(join(moduleId, "broken"), "");
+
+      try {
+        await processFile(createFile({ path: "crash.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error.message).to.match(/^CodeEngine worker \#-?\d+ unexpectedly exited with code 1\.$/);
+      }
+
+      try {
+        await processFile(createFile({ path: "file.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error).to.be.an.instanceOf(SyntaxError);
+        expect(error.message).to.equal(
+          "A CodeEngine worker could not be started, and the maximum number of retries (2) has been reached. \n" +
+          `Error importing module: ${moduleId} \n` +
+          "This module is broken now");
+      }
+
+      // The crashed worker was replaced, and the replacement was retried twice, but no more
+      expect(pool.size).to.equal(0);
+      expect(pool.stats().restarts).to.equal(1);
+    });
+
+    it("should not count workers that fail to start toward maxRestarts", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { minWorkers: 1, maxWorkers: 2, maxRestarts: 1 });
+
+      // This module can only be imported while the "broken" file doesn't exist
+      let moduleId = await createModule(`
+        const { existsSync } = require("fs");
+        const { join } = require("path");
+        module.exports = () => {
+          if (existsSync(join(__dirname, "broken"))) {
+            throw new SyntaxError("This module is broken now");
+          }
+        };
+      `);
+      let processorId = await createModule(async (file) => {
+        if (file.path === "crash.txt") {
+          process.exit(1);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        return file;
+      });
+
+      await pool.importModule(moduleId);
+      let processFile = await pool.importFileProcessor(processorId);
+      await fs.writeFile(join(moduleId, "broken"), "");
+
+      // Queue enough files to scale up. The new worker fails to start, and so does its retry.
+      let files = ["file1.txt", "file2.txt"].map((path) => processFile(createFile({ path }), run).next());
+      while (engine.emit.withArgs("error").callCount < 2) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      await Promise.all(files);
+      await fs.unlink(join(moduleId, "broken"));
+
+      try {
+        await processFile(createFile({ path: "crash.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error.message).to.match(/^CodeEngine worker \#-?\d+ unexpectedly exited with code 1\.$/);
+      }
+
+      // The crashed worker is still replaced, since the failed starts didn't use up the restarts
+      let { value } = await processFile(createFile({ path: "file3.txt" }), run).next();
+      expect(createFile(value).path).to.equal("file3.txt");
+      expect(pool.stats().restarts).to.equal(1);
+    });
+  });
+
+  describe("worker options", () => {
+    it("should start workers with the specified env and execArgv", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, {
+        workerOptions: { env: { GREETING: "Hello" }, execArgv: ["--no-warnings"]},
+      });
+
+      let moduleId = await createModule((file) => {
+        file.text = `${process.env.GREETING} ${process.execArgv.join(" ")}`;
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let { value } = await processFile(createFile({ path: "file.txt" }), run).next();
+      expect(createFile(value).text).to.equal("Hello --no-warnings");
+    });
+
+    it("should log the worker's stdout and stderr if they aren't piped to the process", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { workerOptions: { stdout: true, stderr: true }});
+
+      let moduleId = await createModule((file) => {
+        console.log("Hello from stdout\nSecond line");
+        console.error("Hello from stderr");
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+      await processFile(createFile({ path: "file.txt" }), run).next();
+
+      // The output streams are read asynchronously
+      while (engine.log.info.callCount < 2 || engine.log.warn.callCount < 1) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+
+      sinon.assert.calledWithExactly(engine.log.info, "Hello from stdout", { workerId: sinon.match.number });
+      sinon.assert.calledWithExactly(engine.log.info, "Second line", { workerId: sinon.match.number });
+      sinon.assert.calledWithExactly(engine.log.warn, "Hello from stderr", { workerId: sinon.match.number });
+    });
+
+    it("should report which file was being processed when a worker runs out of memory", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, {
+        maxRestarts: 0,
+        workerOptions: { resourceLimits: { maxOldGenerationSizeMb: 16 }},
+      });
+
+      let moduleId = await createModule(() => {
+        let arrays = [];
+        while (true) {
+          arrays.push(new Array(100000).fill(1));
+        }
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      try {
+        await processFile(createFile({ path: "huge.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error.message).to.match(
+          /^CodeEngine worker \#-?\d+ ran out of memory while processing huge\.txt with .+\. Its resource limits are \{"maxOldGenerationSizeMb":16\}\.$/
+        );
+        expect(error.path).to.equal("huge.txt");
+        expect(error.moduleId).to.equal(moduleId);
+      }
+
+      // Only the descriptive error is emitted, not Node's generic one
+      sinon.assert.calledOnce(engine.emit);
+      sinon.assert.calledWith(engine.emit, "error", sinon.match({ message: sinon.match(/ran out of memory/) }));
+    });
+
+    it("should throw an error if workerOptions are invalid", async () => {
+      let engine = createEngine();
+
+      expect(() => WorkerPool.create(engine, { workerOptions: { execArgv: "--no-warnings" }})).to.throw(TypeError);
+      expect(() => WorkerPool.create(engine, { workerOptions: { execArgv: "--no-warnings" }})).to.throw(
+        "Invalid workerOptions.execArgv: \"--no-warnings\". Expected an array."
+      );
+      expect(() => WorkerPool.create(engine, { workerOptions: { stdout: "yes" }})).to.throw(
+        "Invalid workerOptions.stdout: \"yes\". Expected a boolean."
+      );
+    });
+  });
+
+  describe("timeouts", () => {
+    it("should reject and cancel a file that takes too long to process", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { processFileTimeout: 200 });
+
+      let moduleId = await createModule((file) => {
+        if (file.path === "hang.txt") {
+          return new Promise(() => undefined);
+        }
+        file.text = String(require("worker_threads").threadId);
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let { value } = await processFile(createFile({ path: "file1.txt" }), run).next();
+      let firstThread = createFile(value).text;
+
+      try {
+        await processFile(createFile({ path: "hang.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error).to.be.an.instanceOf(Error);
+        expect(error.message).to.match(
+          /^CodeEngine worker \#\d+ timed out after 200ms while processing hang\.txt with .+\.$/);
+        expect(error.moduleId).to.equal(moduleId);
+        expect(error.path).to.equal("hang.txt");
+        expect(error.workerId).to.be.a("number");
+      }
+
+      // The worker responded to the cancellation, so it's still in use
+      ({ value } = await processFile(createFile({ path: "file2.txt" }), run).next());
+      expect(createFile(value).text).to.equal(firstThread);
+    });
+
+    it("should replace a worker that doesn't respond to cancellation", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { processFileTimeout: 200 });
+
+      let moduleId = await createModule((file) => {
+        if (file.path === "hang.txt") {
+          while (true) { /* Block the thread forever */ }   // eslint-disable-line no-constant-condition
+        }
+        file.text = String(require("worker_threads").threadId);
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let { value } = await processFile(createFile({ path: "file1.txt" }), run).next();
+      let firstThread = createFile(value).text;
+
+      try {
+        await processFile(createFile({ path: "hang.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error.message).to.match(/timed out after 200ms while processing hang\.txt/);
+      }
+
+      ({ value } = await processFile(createFile({ path: "file2.txt" }), run).next());
+      expect(createFile(value).text).not.to.equal(firstThread);
+      expect(pool.size).to.equal(1);
+    });
+
+    it("should not count the time spent waiting for output to be read toward the timeout", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { processFileTimeout: 200 });
+
+      // Yield more files than the default output buffer can hold
+      let moduleId = await createModule(function* () {
+        for (let i = 1; i <= 20; i++) {
+          yield { path: `output${i}.txt` };
+        }
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let output = processFile(createFile({ path: "file.txt" }), run);
+      let { value } = await output.next();
+      expect(value.path).to.equal("output1.txt");
+
+      // Read the next output slowly. The worker is waiting for it to be read, so it isn't timed out.
+      await new Promise((resolve) => setTimeout(resolve, 400));
+
+      let paths = [value.path];
+      for await (let file of output) {
+        paths.push(file.path);
+      }
+      expect(paths).to.have.lengthOf(20);
+      expect(paths[19]).to.equal("output20.txt");
+    });
+
+    it("should reject a module that takes too long to import", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let pool = WorkerPool.create(engine, { importTimeout: 200 });
+      let moduleId = await createModule(() => new Promise(() => undefined));
+
+      try {
+        await pool.importFileProcessor(moduleId, { some: "data" });
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error).to.be.an.instanceOf(Error);
+        expect(error.message).to.match(/^CodeEngine worker \#\d+ timed out after 200ms while importing .+\.$/);
+        expect(error.moduleId).to.equal(moduleId);
+      }
+    });
+  });
+
+  describe("stats", () => {
+    it("should report per-worker and per-module statistics", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        if (file.path === "fail.txt") {
+          throw new Error("Boom!");
+        }
+        file.text += file.text;
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      await processFile(createFile({ path: "file1.txt", text: "abc" }), run).next();
+      await processFile(createFile({ path: "file2.txt", text: "defg" }), run).next();
+
+      try {
+        await processFile(createFile({ path: "fail.txt", text: "hi" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error.message).to.equal("Boom!");
+      }
+
+      let stats = pool.stats();
+      expect(stats.queued).to.equal(0);
+      expect(stats.restarts).to.equal(0);
+
+      expect(stats.workers).to.have.lengthOf(1);
+      expect(stats.workers[0]).to.include({
+        tasksInFlight: 0,
+        tasksCompleted: 2,
+        tasksFailed: 1,
+        bytesSent: 9,
+        bytesReceived: 14,
+      });
+      expect(stats.workers[0].workerId).to.be.a("number");
+      expect(stats.workers[0].busyTime).to.be.at.least(140);
+      expect(stats.workers[0].idleTime).to.be.at.least(0);
+      expect(stats.workers[0].heapUsed).to.be.above(0);
+
+      expect(stats.modules).to.have.lengthOf(1);
+      expect(stats.modules[0]).to.include({ moduleId, tasksCompleted: 2, tasksFailed: 1 });
+      expect(stats.modules[0].averageDuration).to.be.at.least(45);
+      expect(stats.modules[0].p95Duration).to.be.at.least(stats.modules[0].averageDuration * 0.9);
+    });
+
+    it("should report the number of queued and in-flight files", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let results = [1, 2, 3].map((i) => processFile(createFile({ path: `file${i}.txt` }), run).next());
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      let stats = pool.stats();
+      expect(stats.queued).to.equal(2);
+      expect(stats.workers[0].tasksInFlight).to.equal(1);
+
+      await Promise.all(results);
+      expect(pool.stats().queued).to.equal(0);
+    });
+
+    it("should report the number of restarts", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule(() => process.exit(1));
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      try {
+        await processFile(createFile({ path: "crash.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error.message).to.match(/unexpectedly exited with code 1/);
+      }
+
+      expect(pool.stats().restarts).to.equal(1);
+    });
+
+    it("should periodically send stats to the onStats function", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let onStats = sinon.spy();
+      WorkerPool.create(engine, { onStats, statsInterval: 50 });
+
+      await new Promise((resolve) => setTimeout(resolve, 180));
+
+      expect(onStats.callCount).to.be.at.least(2);
+      sinon.assert.alwaysCalledWith(onStats, sinon.match({ queued: 0, restarts: 0, modules: []}));
+    });
+
+    it("should stop sending stats after dispose()", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let onStats = sinon.spy();
+      let pool = WorkerPool.create(engine, { onStats, statsInterval: 20 });
+
+      await pool.dispose();
+      await new Promise((resolve) => setTimeout(resolve, 60));
+
+      sinon.assert.notCalled(onStats);
+    });
+
+    it("should throw an error if onStats is invalid", () => {
+      let engine = createEngine();
+
+      expect(() => WorkerPool.create(engine, { onStats: true })).to.throw(
+        "Invalid onStats: true. Expected a function."
+      );
+    });
+  });
+
+  describe("events", () => {
+    it("should emit workerOnline and workerExit events", async () => {
+      let engine = createEngine({ concurrency: 2 });
+      let pool = WorkerPool.create(engine);
+      let workerOnline = sinon.spy();
+      let workerExit = sinon.spy();
+      pool.on("workerOnline", workerOnline);
+      pool.on("workerExit", workerExit);
+
+      await pool.importModule(await createModule("// This module doesn't do anything"));
+      sinon.assert.calledTwice(workerOnline);
+      sinon.assert.alwaysCalledWithExactly(workerOnline, sinon.match({ workerId: sinon.match.number }));
+
+      await pool.dispose();
+      sinon.assert.calledTwice(workerExit);
+      sinon.assert.alwaysCalledWithExactly(workerExit, sinon.match({ workerId: sinon.match.number, exitCode: 1 }));
+
+      let onlineIds = workerOnline.args.map(([data]) => data.workerId).sort();
+      let exitIds = workerExit.args.map(([data]) => data.workerId).sort();
+      expect(exitIds).to.deep.equal(onlineIds);
+    });
+
+    it("should emit a moduleImported event", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let pool = WorkerPool.create(engine);
+      let moduleImported = sinon.spy();
+      pool.on("moduleImported", moduleImported);
+
+      let moduleId = await createModule("// This module doesn't do anything");
+      let processorId = await createModule((file) => file);
+      await pool.importModule(moduleId);
+      await pool.importFileProcessor(processorId);
+      await pool.reloadModule(processorId);
+
+      sinon.assert.calledThrice(moduleImported);
+      sinon.assert.calledWithExactly(moduleImported.firstCall, { moduleId, reload: false });
+      sinon.assert.calledWithExactly(moduleImported.secondCall, { moduleId: processorId, reload: false });
+      sinon.assert.calledWithExactly(moduleImported.thirdCall, { moduleId: processorId, reload: true });
+    });
+
+    it("should emit taskStart and taskEnd events", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+      let taskStart = sinon.spy();
+      let taskEnd = sinon.spy();
+      pool.on("taskStart", taskStart);
+      pool.on("taskEnd", taskEnd);
+
+      let moduleId = await createModule(async function* () {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        yield { path: "file1.txt" };
+        yield { path: "file2.txt" };
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let output = [];
+      for await (let file of processFile(createFile({ path: "file.txt" }), run)) {
+        output.push(file);
+      }
+      expect(output).to.have.lengthOf(2);
+
+      sinon.assert.calledOnce(taskStart);
+      sinon.assert.calledWithExactly(taskStart, { workerId: sinon.match.number, moduleId, path: "file.txt" });
+
+      sinon.assert.calledOnce(taskEnd);
+      sinon.assert.calledWithExactly(taskEnd, {
+        workerId: taskStart.firstCall.args[0].workerId,
+        moduleId,
+        path: "file.txt",
+        duration: sinon.match((duration) => duration >= 45),
+        outputCount: 2,
+      });
+    });
+
+    it("should emit a taskError event", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+      let taskEnd = sinon.spy();
+      let taskError = sinon.spy();
+      pool.on("taskEnd", taskEnd);
+      pool.on("taskError", taskError);
+
+      let moduleId = await createModule(() => {
+        throw new RangeError("Boom!");
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      try {
+        await processFile(createFile({ path: "file.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error.message).to.equal("Boom!");
+      }
+
+      sinon.assert.notCalled(taskEnd);
+      sinon.assert.calledOnce(taskError);
+      sinon.assert.calledWithExactly(taskError, {
+        workerId: sinon.match.number,
+        moduleId,
+        path: "file.txt",
+        duration: sinon.match.number,
+        error: sinon.match.instanceOf(Error).and(sinon.match({ message: "Boom!" })),
+      });
+    });
+  });
+
   describe("log", () => {
     it("should log to the specified Logger", async () => {
       let engine = createEngine();
@@ -114,7 +838,7 @@ describe("WorkerPool class", () => {
       await processFile(createFile({ path: "file.txt" }), run).next();
 
       sinon.assert.callCount(run.log.info, 1);
-      sinon.assert.calledWithExactly(run.log.info, "This is a log message", undefined);
+      sinon.assert.calledWithExactly(run.log.info, "This is a log message", sinon.match({ moduleId, path: "file.txt" }));
     });
   });
 
@@ -183,6 +907,195 @@ describe("WorkerPool class", () => {
     });
   });
 
+  describe("scheduling", () => {
+    it("should send files to idle workers rather than busy ones", async () => {
+      let engine = createEngine({ concurrency: 2 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule(async (file) => {
+        if (file.path === "slow.txt") {
+          await new Promise((resolve) => setTimeout(resolve, 500));
+        }
+        file.text = String(require("worker_threads").threadId);
+        return file;
+      });
+
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let slow = processFile(createFile({ path: "slow.txt" }), run).next();
+      let fast = await Promise.all([1, 2, 3, 4].map(
+        (i) => processFile(createFile({ path: `fast${i}.txt` }), run).next()
+      ));
+      let slowThread = createFile((await slow).value).text;
+      let fastThreads = fast.map(({ value }) => createFile(value).text);
+
+      // All of the fast files should have been processed by the worker that wasn't busy
+      expect(fastThreads).to.deep.equal([fastThreads[0], fastThreads[0], fastThreads[0], fastThreads[0]]);
+      expect(fastThreads[0]).not.to.equal(slowThread);
+    });
+
+    it("should process multiple files per worker if maxTasksPerWorker allows it", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { maxTasksPerWorker: 3 });
+
+      let moduleId = await createModule(async (file) => {
+        global.active = (global.active || 0) + 1;
+        global.maxActive = Math.max(global.maxActive || 0, global.active);
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        global.active--;
+        file.text = String(global.maxActive);
+        return file;
+      });
+
+      let processFile = await pool.importFileProcessor(moduleId);
+      let results = await Promise.all([1, 2, 3, 4, 5].map(
+        (i) => processFile(createFile({ path: `file${i}.txt` }), run).next()
+      ));
+      let maxActive = results.map(({ value }) => Number(createFile(value).text));
+
+      expect(Math.max(...maxActive)).to.equal(3);
+    });
+
+    it("should send the same file path to the same worker if affinity is enabled", async () => {
+      let engine = createEngine({ concurrency: 3 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { affinity: true, maxTasksPerWorker: 10 });
+
+      let moduleId = await createModule((file) => {
+        file.text = String(require("worker_threads").threadId);
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let paths = ["a.txt", "b.txt", "c.txt", "d.txt", "e.txt", "f.txt"];
+      let processAll = () => Promise.all(paths.map(async (path) => {
+        let { value } = await processFile(createFile({ path }), run).next();
+        return createFile(value).text;
+      }));
+
+      let firstRun = await processAll();
+      let secondRun = await processAll();
+      let thirdRun = await processAll();
+
+      expect(secondRun).to.deep.equal(firstRun);
+      expect(thirdRun).to.deep.equal(firstRun);
+    });
+
+    it("should route files by a custom affinity key", async () => {
+      let engine = createEngine({ concurrency: 3 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, {
+        affinity: (file) => file.path.split("/")[0],
+        maxTasksPerWorker: 10,
+      });
+
+      let moduleId = await createModule((file) => {
+        file.text = String(require("worker_threads").threadId);
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let threads = await Promise.all(["dir/a.txt", "dir/b.txt", "dir/c.txt", "dir/d.txt"].map(async (path) => {
+        let { value } = await processFile(createFile({ path }), run).next();
+        return createFile(value).text;
+      }));
+
+      expect(threads).to.deep.equal([threads[0], threads[0], threads[0], threads[0]]);
+    });
+
+    it("should fall back to another worker if the preferred worker is at capacity", async () => {
+      let engine = createEngine({ concurrency: 2 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine, { affinity: () => "same key" });
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        file.text = String(require("worker_threads").threadId);
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let threads = await Promise.all(["a.txt", "b.txt"].map(async (path) => {
+        let { value } = await processFile(createFile({ path }), run).next();
+        return createFile(value).text;
+      }));
+
+      expect(threads[0]).not.to.equal(threads[1]);
+    });
+
+    it("should throw an error if affinity is invalid", async () => {
+      function invalid () {
+        let engine = createEngine();
+        return WorkerPool.create(engine, { affinity: "yes" });
+      }
+
+      expect(invalid).to.throw(TypeError);
+      expect(invalid).to.throw('Invalid affinity: "yes". Expected a boolean or Function.');
+    });
+
+    it("should throw an error if logPrefix is invalid", async () => {
+      function invalid () {
+        let engine = createEngine();
+        return WorkerPool.create(engine, { logPrefix: "[worker]" });
+      }
+
+      expect(invalid).to.throw(TypeError);
+      expect(invalid).to.throw('Invalid logPrefix: "[worker]". Expected a boolean or Function.');
+    });
+
+    it("should throw an error if contentTransfer is invalid", async () => {
+      function invalid () {
+        let engine = createEngine();
+        return WorkerPool.create(engine, { contentTransfer: "move" });
+      }
+
+      expect(invalid).to.throw(TypeError);
+      expect(invalid).to.throw('Invalid contentTransfer: "move". Expected "copy", "transfer", or "share".');
+    });
+
+    it("should throw an error if streamChunkSize is invalid", async () => {
+      function invalid () {
+        let engine = createEngine();
+        return WorkerPool.create(engine, { streamChunkSize: 0 });
+      }
+
+      expect(invalid).to.throw(RangeError);
+      expect(invalid).to.throw("Invalid streamChunkSize: 0. Expected a positive integer.");
+    });
+
+    it("should throw an error if batchSize is invalid", async () => {
+      function invalid () {
+        let engine = createEngine();
+        return WorkerPool.create(engine, { batchSize: 1.5 });
+      }
+
+      expect(invalid).to.throw(TypeError);
+      expect(invalid).to.throw("Invalid batchSize: 1.5. Expected an integer.");
+    });
+
+    it("should throw an error if maxTasksPerWorker is invalid", async () => {
+      function invalid () {
+        let engine = createEngine();
+        return WorkerPool.create(engine, { maxTasksPerWorker: 0 });
+      }
+
+      expect(invalid).to.throw(RangeError);
+      expect(invalid).to.throw("Invalid maxTasksPerWorker: 0. Expected a positive integer.");
+    });
+
+    it("should throw an error if batchSize is more than maxTasksPerWorker", async () => {
+      function invalid () {
+        let engine = createEngine();
+        return WorkerPool.create(engine, { batchSize: 10, maxTasksPerWorker: 5 });
+      }
+
+      expect(invalid).to.throw(RangeError);
+      expect(invalid).to.throw("Invalid batchSize: 10. It cannot be more than maxTasksPerWorker (5).");
+    });
+  });
+
   describe("dispose", () => {
     it("should ignore multiple dispose() calls", async () => {
       let engine = createEngine();
@@ -210,5 +1123,252 @@ describe("WorkerPool class", () => {
         expect(error.message).to.equal("CodeEngine cannot be used after it has been disposed.");
       }
     });
+
+    it("should wait for in-flight files when disposing gracefully", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        file.text = "Done";
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let inFlight = processFile(createFile({ path: "file.txt" }), run).next();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      await pool.dispose({ graceful: true });
+
+      expect(pool.isDisposed).to.equal(true);
+      expect(pool.size).to.equal(0);
+
+      let { value } = await inFlight;
+      expect(createFile(value).text).to.equal("Done");
+
+      try {
+        await processFile(createFile({ path: "file.txt" }), run).next();
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error).to.be.an.instanceOf(Error);
+        expect(error.message).to.equal("CodeEngine cannot be used after it has been disposed.");
+      }
+    });
+
+    it("should reject queued files when disposing gracefully", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let inFlight = processFile(createFile({ path: "file1.txt" }), run).next();
+      let queued = processFile(createFile({ path: "file2.txt" }), run).next();
+      queued.catch(() => undefined);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      await pool.dispose({ graceful: true });
+
+      let { value } = await inFlight;
+      expect(value.path).to.equal("file1.txt");
+
+      try {
+        await queued;
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error).to.be.an.instanceOf(Error);
+        expect(error.message).to.equal("CodeEngine is terminating.");
+      }
+    });
+
+    it("should call each module's teardown export in reverse order", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let pool = WorkerPool.create(engine);
+      let logFile = join(await createModule(""), "teardown.log");
+
+      let moduleId = await createModule(
+        "exports.default = () => {};\n" +
+        `exports.teardown = () => require("fs").appendFileSync(${JSON.stringify(logFile)}, "module\\n");`);
+      let processorId = await createModule(
+        "exports.default = (file) => file;\n" +
+        "exports.teardown = async () => {\n" +
+        "  await new Promise((resolve) => setTimeout(resolve, 100));\n" +
+        `  require("fs").appendFileSync(${JSON.stringify(logFile)}, "processor\\n");\n` +
+        "};");
+
+      await pool.importModule(moduleId);
+      await pool.importFileProcessor(processorId);
+      await pool.dispose({ graceful: true });
+
+      expect(await fs.readFile(logFile, "utf8")).to.equal("processor\nmodule\n");
+    });
+
+    it("should not call teardown exports when disposing immediately", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let pool = WorkerPool.create(engine);
+      let logFile = join(await createModule(""), "teardown.log");
+
+      let moduleId = await createModule(
+        "exports.default = (file) => file;\n" +
+        `exports.teardown = () => require("fs").appendFileSync(${JSON.stringify(logFile)}, "processor\\n");`);
+
+      await pool.importFileProcessor(moduleId);
+      await pool.dispose();
+
+      let exists = await fs.access(logFile).then(() => true, () => false);
+      expect(exists).to.equal(false);
+    });
+
+    it("should emit an error if a teardown export fails", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule(
+        "exports.default = (file) => file;\n" +
+        'exports.teardown = () => { throw new RangeError("Boom!"); };');
+
+      await pool.importFileProcessor(moduleId);
+      await pool.dispose({ graceful: true });
+
+      sinon.assert.calledOnce(engine.emit);
+      sinon.assert.calledWith(engine.emit, "error");
+
+      let error = engine.emit.firstCall.args[1];
+      expect(error).to.be.an.instanceOf(RangeError);
+      expect(error.message).to.equal(`Error tearing down module: ${moduleId} \nBoom!`);
+      expect(error.moduleId).to.equal(moduleId);
+    });
+
+    it("should call every teardown export even if some of them fail", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let pool = WorkerPool.create(engine);
+      let logFile = join(await createModule(""), "teardown.log");
+
+      let moduleId = await createModule(
+        "exports.default = () => {};\n" +
+        `exports.teardown = () => require("fs").appendFileSync(${JSON.stringify(logFile)}, "module\\n");`);
+      let processorId = await createModule(
+        "exports.default = (file) => file;\n" +
+        'exports.teardown = () => { throw new RangeError("Boom!"); };');
+
+      await pool.importModule(moduleId);
+      await pool.importFileProcessor(processorId);
+      await pool.dispose({ graceful: true });
+
+      // The processor's teardown runs first, and its failure doesn't stop the other module's teardown
+      expect(await fs.readFile(logFile, "utf8")).to.equal("module\n");
+
+      sinon.assert.calledOnce(engine.emit);
+      let error = engine.emit.firstCall.args[1];
+      expect(error).to.be.an.instanceOf(RangeError);
+      expect(error.moduleId).to.equal(processorId);
+    });
+
+    it("should report every teardown export that fails", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule(
+        "exports.default = () => {};\n" +
+        'exports.teardown = () => { throw new TypeError("Bang!"); };');
+      let processorId = await createModule(
+        "exports.default = (file) => file;\n" +
+        'exports.teardown = () => { throw new RangeError("Boom!"); };');
+
+      await pool.importModule(moduleId);
+      await pool.importFileProcessor(processorId);
+      await pool.dispose({ graceful: true });
+
+      sinon.assert.calledOnce(engine.emit);
+      let error = engine.emit.firstCall.args[1];
+      expect(error.message).to.equal(`2 modules failed to tear down: ${processorId}, ${moduleId}`);
+      expect(error.moduleIds).to.deep.equal([processorId, moduleId]);
+      expect(error.errors).to.have.lengthOf(2);
+      expect(error.errors[0]).to.be.an.instanceOf(RangeError);
+      expect(error.errors[0].message).to.equal(`Error tearing down module: ${processorId} \nBoom!`);
+      expect(error.errors[1]).to.be.an.instanceOf(TypeError);
+      expect(error.errors[1].message).to.equal(`Error tearing down module: ${moduleId} \nBang!`);
+    });
+
+    it("should terminate workers that don't finish within the timeout", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 5000));
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let inFlight = processFile(createFile({ path: "file.txt" }), run).next();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      let start = Date.now();
+      await pool.dispose({ graceful: true, timeout: 200 });
+      expect(Date.now() - start).to.be.below(1000);
+
+      sinon.assert.calledOnce(engine.log.warn);
+      sinon.assert.calledWith(engine.log.warn,
+        "CodeEngine workers did not finish within 200ms, so they are being terminated.", { timeout: 200 });
+
+      try {
+        await inFlight;
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error).to.be.an.instanceOf(Error);
+        expect(error.message).to.equal("CodeEngine is terminating.");
+      }
+    });
+
+    it("should terminate immediately if dispose() is called again without the graceful option", async () => {
+      let engine = createEngine({ concurrency: 1 });
+      let run = createRun(engine);
+      let pool = WorkerPool.create(engine);
+
+      let moduleId = await createModule(async (file) => {
+        await new Promise((resolve) => setTimeout(resolve, 5000));
+        return file;
+      });
+      let processFile = await pool.importFileProcessor(moduleId);
+
+      let inFlight = processFile(createFile({ path: "file.txt" }), run).next();
+      inFlight.catch(() => undefined);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      let graceful = pool.dispose({ graceful: true });
+      let start = Date.now();
+      await pool.dispose();
+      await graceful;
+      expect(Date.now() - start).to.be.below(1000);
+
+      try {
+        await inFlight;
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error.message).to.equal("CodeEngine is terminating.");
+      }
+    });
+
+    it("should throw an error if the dispose timeout is invalid", async () => {
+      let engine = createEngine();
+      let pool = WorkerPool.create(engine);
+
+      try {
+        await pool.dispose({ graceful: true, timeout: -1 });
+        assert.fail("An error should have been thrown");
+      }
+      catch (error) {
+        expect(error).to.be.an.instanceOf(RangeError);
+        expect(error.message).to.equal("Invalid timeout: -1. Expected a positive number.");
+      }
+    });
   });
 });
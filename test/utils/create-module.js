@@ -13,9 +13,10 @@ module.exports = createModule;
  * Creates a worker module that exports the given plugin method
  *
  * @param code {function|string} - The function or code to export in the module
+ * @param [fileName] {string} - The name of the module file, such as "index.mjs"
  * @returns {string} - The path to the worker module
  */
-async function createModule (code) {
+async function createModule (code, fileName = "index.js") {
   // Create a temp file
   let moduleId = await new Promise((resolve, reject) =>
     tmp.dir({ prefix: "code-engine-" }, (e, p) => e ? reject(e) : resolve(p)));
@@ -24,7 +25,7 @@ async function createModule (code) {
     code = `"use strict";\nmodule.exports = ${code};`;
   }
 
-  await fs.writeFile(join(moduleId, "index.js"), code);
+  await fs.writeFile(join(moduleId, fileName), code);
 
-  return moduleId;
+  return fileName === "index.js" ? moduleId : join(moduleId, fileName);
 }
@@ -10,8 +10,8 @@ module.exports = {
   /**
    * Creates a new WorkerPool instance
    */
-  create (engine, run) {
-    let pool = new WorkerPool(engine, run);
+  create (engine, options) {
+    let pool = new WorkerPool(engine, options);
     instances.push(pool);
     return pool;
   },